@@ -1,6 +1,7 @@
 import _ from 'lodash';
 import Joi from 'joi';
 import * as Constants from './Constants';
+import {synonymsSchema} from './SearchConfigSchema';
 
 // this function builds API schema as per search config
 export default function (searchConfig) {
@@ -12,9 +13,25 @@ export default function (searchConfig) {
           .default('default')
           .valid(['default', 'custom'])
           .optional(),
+        // fields of results to be returned, as array or comma separated
+        fields: Joi.array()
+          .items(Joi.string())
+          .single()
+          .optional(),
+        // point that geo filters, sorts and facets are around, say location of user
+        origin: Joi.object()
+          .keys({
+              lat: Joi.number().min(-90).max(90).required(),
+              lon: Joi.number().min(-180).max(180).required()
+          })
+          .optional(),
         __instanceName__: Joi.string().default('default')
     };
 
+    // pages by cursor in place of page: '*' for first page, and then cursor of previous response. search of multiple
+    // types, that is not flat, does not page by cursor.
+    const cursorSchema = Joi.string().optional();
+
     //categories: Joi.array().items(Joi.string()).allow(null).optional()
     //.when('mode', {is: AUTOCOMPLETE_MODE, then: Joi.required(), otherwise: Joi.optional()})
     //  .when('mode', {is: SEARCH_RESULT_MODE, then: Joi.required(), otherwise: Joi.optional()}),
@@ -53,10 +70,11 @@ export default function (searchConfig) {
           .optional(),
         unicodeText: Joi.string().allow([null, '']).optional(),
         originalInput: Joi.string().min(1).allow(null),
-        section: Joi.string()
+        section: (searchConfig.search.sections ? Joi.string().valid(_.keys(searchConfig.search.sections)) : Joi.string())
           .allow([null, '*'])
           .default('*')
-          .optional()
+          .optional(),
+        cursor: cursorSchema
     });
 
     const formSearchSchema = _.extend({}, baseSchema, {
@@ -84,7 +102,8 @@ export default function (searchConfig) {
                 .optional()
           })
           .unknown(true)
-          .optional()
+          .optional(),
+        cursor: cursorSchema
     });
 
     const browseAllSchema = _.extend({}, baseSchema, {
@@ -98,7 +117,8 @@ export default function (searchConfig) {
               //.valid([Constants.SCORE_SORT_FIELD]) // todo: this is contextual to user and type
                 .default(Constants.SCORE_SORT_FIELD),
               order: Joi.string().valid(Constants.VALID_SORT_ORDERS).default(Constants.DESC_SORT_ORDER)
-          })
+          }),
+        cursor: cursorSchema
     });
 
     const autocompleteSchema = _.extend({}, baseSchema, {
@@ -139,6 +159,59 @@ export default function (searchConfig) {
           .default(searchConfig.autocomplete.defaultType)
           .allow([null, '*']),
         text: Joi.string().min(1).required(),
+        count: Joi.number().integer().min(1).default(3),
+        __instanceName__: Joi.string().default('default')
+    };
+
+    // text is analyzed by analyzer of given field, or of each query field of type, or by given analyzer
+    const analyzeSchema = {
+        requestTime: Joi.number(),
+        type: Joi.string()
+          .valid(_.keys(searchConfig.search.types))
+          .default(searchConfig.search.defaultType),
+        text: Joi.string().min(1).required(),
+        field: Joi.string().optional(),
+        analyzer: Joi.string().optional(),
+        __instanceName__: Joi.string().default('default')
+    };
+
+    // rules replace those of the instance, or of an index type when given
+    const reloadSynonymsSchema = synonymsSchema.keys({
+        requestTime: Joi.number(),
+        type: Joi.string().valid(_.keys(searchConfig.types)),
+        __instanceName__: Joi.string().default('default')
+    });
+
+    const viewSchema = {
+        requestTime: Joi.number(),
+        type: Joi.string()
+          .valid(_.keys(_.get(searchConfig, ['views', 'types'])))
+          .required(),
+        filter: Joi.object()
+          .unknown(true)
+          .optional(),
+        sort: Joi.object()
+          .keys({
+              field: Joi.string().required(),
+              order: Joi.string().valid(Constants.VALID_SORT_ORDERS).default(Constants.DESC_SORT_ORDER)
+          }),
+        fields: Joi.array()
+          .items(Joi.string())
+          .single()
+          .optional(),
+        // view is read in pages, count limits documents in response, and cursor of response resumes from there
+        count: Joi.number()
+          .integer()
+          .min(1)
+          .when('format', {
+              is: Constants.NDJSON_VIEW_FORMAT,
+              then: Joi.optional(),
+              otherwise: Joi.number().max(Constants.MAX_JSON_VIEW_COUNT).default(Constants.DEFAULT_JSON_VIEW_COUNT)
+          }),
+        cursor: Joi.string().optional(),
+        format: Joi.string()
+          .valid(Constants.VALID_VIEW_FORMATS)
+          .default(Constants.JSON_VIEW_FORMAT),
         __instanceName__: Joi.string().default('default')
     };
 
@@ -147,9 +220,13 @@ export default function (searchConfig) {
         autocomplete: Joi.object().keys(autocompleteSchema),
         formSearch: Joi.object().keys(formSearchSchema),
         browseAll: Joi.object().keys(browseAllSchema),
-        explainSearch: Joi.object().keys(_.omit(_.extend({}, searchSchema, {id: Joi.string().required()}), ['page', 'count'])),
+        explainSearch: Joi.object().keys(_.omit(_.extend({}, searchSchema, {id: Joi.string().required()}), ['page', 'count', 'cursor'])),
         explainAutocomplete: Joi.object().keys(_.omit(_.extend({}, autocompleteSchema, {id: Joi.string().required()}), ['page', 'count'])),
+        explainQuery: Joi.object().keys(searchSchema),
         termVectors: Joi.object().keys(termVectorsSchema),
-        didYouMean: Joi.object().keys(didYouMeanSchema)
+        analyze: Joi.object().keys(analyzeSchema),
+        didYouMean: Joi.object().keys(didYouMeanSchema),
+        reloadSynonyms: reloadSynonymsSchema,
+        view: Joi.object().keys(viewSchema)
     };
 }
\ No newline at end of file
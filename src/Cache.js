@@ -0,0 +1,236 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+import buildRedisClient from 'humane-node-commons/lib/RedisClient';
+import Logger from './Logger';
+
+const DEFAULT_TTL = 300; // in seconds
+const DEFAULT_MEMORY_MAX_ENTRIES = 1000;
+const DEFAULT_REDIS_RETRY_INTERVAL = 30; // in seconds
+const DEFAULT_STALE_IF_ERROR = 300; // in seconds
+
+// least recently used entries are evicted first, Map keeps keys in order of insertion, so a hit is moved to the end
+class LruCache {
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        this.entries.delete(key);
+
+        if (entry.expiresAt <= Date.now()) {
+            return null;
+        }
+
+        this.entries.set(key, entry);
+
+        return entry.value;
+    }
+
+    set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, {value, expiresAt: Date.now() + (ttl * 1000)});
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    remove(key) {
+        this.entries.delete(key);
+    }
+}
+
+// config is in following format, all keys being optional:
+//      memory: {enabled: true, maxEntries: 1000} or false
+//      redis: {enabled: true, keyPrefix: '', retryInterval: 30} or false
+//      ttl: {default: 300, operations: {search: 300, multiSearch: 300, get: 300, intent: 300}, types: {<type>: <ttl>}}
+//      staleWhileRevalidate: 0 - seconds for which an expired entry is still kept, to be served while it is refreshed
+//      staleIfError: 300 - seconds for which an expired entry is still kept, to be served when it can not be refreshed
+//          (say, while circuit breaker is open), 0 to not serve expired entries on error
+//
+// entries are stored as JSON in both tiers, so that callers can not modify cached values.
+export default class Cache {
+    constructor(cacheConfig, redisConfig, logger) {
+        const config = cacheConfig || {};
+
+        this.logger = logger || new Logger();
+
+        const memoryConfig = config.memory === false ? {enabled: false} : _.defaults({}, config.memory, {enabled: true, maxEntries: DEFAULT_MEMORY_MAX_ENTRIES});
+        const redisCacheConfig = config.redis === false ? {enabled: false} : _.defaults({}, config.redis, {enabled: true, retryInterval: DEFAULT_REDIS_RETRY_INTERVAL});
+
+        this.memory = memoryConfig.enabled ? new LruCache(memoryConfig.maxEntries) : null;
+
+        this.redisEnabled = redisCacheConfig.enabled;
+        this.redisRetryInterval = redisCacheConfig.retryInterval;
+        this.redisConfig = redisConfig;
+        this.redisDownUntil = 0;
+
+        this.redisKeyPrefix = redisCacheConfig.keyPrefix || process.env.REDIS_KEY_PREFIX;
+        if (this.redisKeyPrefix) {
+            this.redisKeyPrefix = `${this.redisKeyPrefix}/`;
+        } else {
+            this.redisKeyPrefix = '';
+        }
+
+        this.ttlConfig = _.defaults({}, config.ttl, {default: DEFAULT_TTL, operations: {}, types: {}});
+        this.staleWhileRevalidate = config.staleWhileRevalidate || 0;
+        this.staleIfError = _.isNumber(config.staleIfError) ? config.staleIfError : DEFAULT_STALE_IF_ERROR;
+        this.staleTtl = Math.max(this.staleWhileRevalidate, this.staleIfError);
+
+        this.counters = {
+            memory: {hits: 0, misses: 0},
+            redis: {hits: 0, misses: 0, errors: 0}
+        };
+    }
+
+    // redis connection is made on first use, so that searcher can be built offline (say, to validate config).
+    // a client can be given as redisClient, say MemoryRedisClient in tests.
+    get redisClient() {
+        if (!this._redisClient) {
+            this._redisClient = (this.redisConfig && this.redisConfig.redisClient) || buildRedisClient(this.redisConfig);
+        }
+
+        return this._redisClient;
+    }
+
+    // when redis fails, it is skipped for a while, instead of every request paying for a failed round trip
+    redisAvailable() {
+        return this.redisEnabled && Date.now() >= this.redisDownUntil;
+    }
+
+    redisFailed(action, key) {
+        this.counters.redis.errors += 1;
+        this.redisDownUntil = Date.now() + (this.redisRetryInterval * 1000);
+
+        this.logger.error('REDIS_ERROR', {action, key: this.redisKeyPrefix + key});
+    }
+
+    // ttl of type wins over that of operation, for many types the least ttl is used
+    ttl(operation, types) {
+        const typeTtls = _(types)
+          .castArray()
+          .map(type => this.ttlConfig.types[type])
+          .filter(_.isNumber)
+          .value();
+
+        if (!_.isEmpty(typeTtls)) {
+            return _.min(typeTtls);
+        }
+
+        return _.get(this.ttlConfig.operations, operation, this.ttlConfig.default);
+    }
+
+    // entry is kept for stale ttl after it expires, and tells whether it can still be served while refreshing or on error
+    parseEntry(data) {
+        const entry = JSON.parse(data);
+        if (!entry || _.isUndefined(entry.value)) {
+            return null;
+        }
+
+        const expiredFor = Date.now() - entry.expiresAt;
+
+        return {
+            value: entry.value,
+            stale: expiredFor >= 0,
+            revalidate: expiredFor >= 0 && expiredFor < this.staleWhileRevalidate * 1000,
+            servableOnError: expiredFor < this.staleIfError * 1000
+        };
+    }
+
+    // returns entry as {value, stale, revalidate, servableOnError}, ttl is used to hold entry found in redis in memory
+    retrieveEntry(key, ttl) {
+        if (this.memory) {
+            const data = this.memory.get(key);
+            if (data) {
+                this.counters.memory.hits += 1;
+                return Promise.resolve(this.parseEntry(data));
+            }
+
+            this.counters.memory.misses += 1;
+        }
+
+        if (!this.redisAvailable()) {
+            return Promise.resolve(null);
+        }
+
+        // nice to have: pack data with MessagePack
+        return Promise.try(() => this.redisClient.getAsync(this.redisKeyPrefix + key))
+          .then((data) => {
+              if (!_.isUndefined(data) && !_.isNull(data) && _.isString(data)) {
+                  this.counters.redis.hits += 1;
+
+                  if (this.memory) {
+                      this.memory.set(key, data, (ttl || this.ttlConfig.default) + this.staleTtl);
+                  }
+
+                  return this.parseEntry(data);
+              }
+
+              this.counters.redis.misses += 1;
+              return null;
+          })
+          .catch(() => {
+              this.redisFailed('retrieving', key);
+              return null;
+          }); // eat the error
+    }
+
+    // returns value only if it has not expired
+    retrieve(key, ttl) {
+        return this.retrieveEntry(key, ttl)
+          .then(entry => ((entry && !entry.stale) ? entry.value : null));
+    }
+
+    store(key, data, ttl) {
+        const finalTtl = ttl || this.ttlConfig.default;
+        const serializedData = JSON.stringify({value: data, expiresAt: Date.now() + (finalTtl * 1000)});
+
+        if (this.memory) {
+            this.memory.set(key, serializedData, finalTtl + this.staleTtl);
+        }
+
+        if (!this.redisAvailable()) {
+            return Promise.resolve(data);
+        }
+
+        return Promise.try(() => this.redisClient.setAsync([this.redisKeyPrefix + key, serializedData, 'EX', finalTtl + this.staleTtl]))
+          .then(() => data)
+          .catch(() => {
+              this.redisFailed('storing', key);
+              return data;
+          }); // eat the error
+    }
+
+    remove(key) {
+        if (this.memory) {
+            this.memory.remove(key);
+        }
+
+        if (!this.redisAvailable()) {
+            return Promise.resolve(null);
+        }
+
+        return Promise.try(() => this.redisClient.delAsync(this.redisKeyPrefix + key))
+          .catch(() => {
+              this.redisFailed('removing', key);
+              return null;
+          }); // eat the error
+    }
+
+    stats() {
+        return {
+            memory: _.extend({enabled: !!this.memory, size: (this.memory && this.memory.size) || 0}, this.counters.memory),
+            redis: _.extend({enabled: this.redisEnabled, available: this.redisAvailable()}, this.counters.redis)
+        };
+    }
+}
@@ -0,0 +1,107 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+import InternalServiceError from 'humane-node-commons/lib/InternalServiceError';
+
+export const CLOSED_STATE = 'closed';
+export const OPEN_STATE = 'open';
+export const HALF_OPEN_STATE = 'half-open';
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT = 30000; // in ms
+
+// opens after failure threshold consecutive failures, and fails calls fast till reset timeout,
+// after which one trial call is let through: its success closes the breaker, and its failure opens it again.
+//
+// config is in following format, all keys being optional:
+//      enabled: true
+//      failureThreshold: 5
+//      resetTimeout: 30000 - in ms
+export default class CircuitBreaker {
+    constructor(config) {
+        const breakerConfig = _.defaults({}, config, {enabled: true, failureThreshold: DEFAULT_FAILURE_THRESHOLD, resetTimeout: DEFAULT_RESET_TIMEOUT});
+
+        this.enabled = breakerConfig.enabled;
+        this.failureThreshold = breakerConfig.failureThreshold;
+        this.resetTimeout = breakerConfig.resetTimeout;
+
+        this.state = CLOSED_STATE;
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+
+        this.counters = {opened: 0, rejected: 0};
+    }
+
+    currentState() {
+        if (this.state === OPEN_STATE && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.state = HALF_OPEN_STATE;
+        }
+
+        return this.state;
+    }
+
+    open() {
+        if (this.state !== OPEN_STATE) {
+            this.counters.opened += 1;
+        }
+
+        this.state = OPEN_STATE;
+        this.openedAt = Date.now();
+    }
+
+    onSuccess() {
+        this.failures = 0;
+        this.state = CLOSED_STATE;
+    }
+
+    onFailure() {
+        this.failures += 1;
+
+        if (this.state === HALF_OPEN_STATE || this.failures >= this.failureThreshold) {
+            this.open();
+        }
+    }
+
+    // isFailure tells whether an error is to be counted against ES health
+    call(fn, isFailure) {
+        if (!this.enabled) {
+            return Promise.try(fn);
+        }
+
+        const state = this.currentState();
+        if (state === OPEN_STATE || (state === HALF_OPEN_STATE && this.trialInFlight)) {
+            this.counters.rejected += 1;
+            return Promise.reject(new InternalServiceError('Circuit breaker is open', {details: {code: 'CIRCUIT_OPEN'}}));
+        }
+
+        const trial = state === HALF_OPEN_STATE;
+        if (trial) {
+            this.trialInFlight = true;
+        }
+
+        return Promise.try(fn)
+          .then((result) => {
+              this.onSuccess();
+              return result;
+          })
+          .catch((error) => {
+              if (!isFailure || isFailure(error)) {
+                  this.onFailure();
+              } else if (trial) {
+                  // ES did respond, so it is healthy enough
+                  this.onSuccess();
+              }
+
+              throw error;
+          })
+          .finally(() => {
+              if (trial) {
+                  this.trialInFlight = false;
+              }
+          });
+    }
+
+    stats() {
+        return _.extend({enabled: this.enabled, state: this.currentState(), failures: this.failures}, this.counters);
+    }
+}
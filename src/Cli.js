@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+import _ from 'lodash';
+import Path from 'path';
+import FS from 'fs';
+import Promise from 'bluebird';
+import * as Constants from './Constants';
+import {searchConfigErrors} from './SearchConfigSchema';
+import Searcher from './Searcher';
+
+// validates a searcher config, and optionally prints ES requests that searcher would build for a sample request.
+// it does not connect to ES or Redis, so it can be run as part of CI.
+//
+// usage: humane-searcher <config-file> [--api <search|autocomplete|formSearch|browseAll>] [--request <json|json-file>]
+
+const VALID_APIS = [Constants.SEARCH_API, Constants.AUTOCOMPLETE_API, Constants.FORM_SEARCH_API, Constants.BROWSE_ALL_API];
+
+const USAGE = `Usage: humane-searcher <config-file> [--api <${VALID_APIS.join('|')}>] [--request <json|json-file>]`;
+
+function parseArgs(argv) {
+    const args = {api: Constants.SEARCH_API};
+
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (arg === '--api') {
+            i += 1;
+            args.api = argv[i];
+        } else if (arg === '--request') {
+            i += 1;
+            args.request = argv[i];
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (!args.configFile) {
+            args.configFile = arg;
+        } else {
+            args.error = `Unexpected argument: ${arg}`;
+        }
+    }
+
+    return args;
+}
+
+function loadConfig(configFile) {
+    // eslint-disable-next-line import/no-dynamic-require
+    const config = require(Path.resolve(configFile));
+    return (config && config.__esModule && config.default) || config;
+}
+
+function loadRequest(request) {
+    if (_.startsWith(_.trim(request), '{')) {
+        return JSON.parse(request);
+    }
+
+    return JSON.parse(FS.readFileSync(Path.resolve(request), 'utf8'));
+}
+
+function printErrors(title, errors) {
+    console.error(title);
+    _.forEach(errors, (error) => {
+        if (error.path) {
+            console.error(`  ${error.path}: ${error.message}`);
+        } else {
+            console.error(`  ${error.message}`);
+        }
+    });
+}
+
+function printRequest(esRequest) {
+    console.log(`${esRequest.method} ${esRequest.uri}`);
+    if (_.isString(esRequest.body)) {
+        // multi search body is already in bulk format
+        process.stdout.write(esRequest.body);
+    } else {
+        console.log(JSON.stringify(esRequest.body, null, 2));
+    }
+}
+
+function run(argv) {
+    const args = parseArgs(argv);
+
+    if (args.help) {
+        console.log(USAGE);
+        return Promise.resolve(0);
+    }
+
+    if (args.error || !args.configFile || !_.includes(VALID_APIS, args.api)) {
+        console.error(args.error || (args.configFile ? `Unknown api: ${args.api}` : 'No config file specified'));
+        console.error(USAGE);
+        return Promise.resolve(2);
+    }
+
+    const config = loadConfig(args.configFile);
+
+    const errors = searchConfigErrors(config && config.searchConfig);
+    if (!_.isEmpty(errors)) {
+        printErrors(`Invalid search config: ${args.configFile}`, errors);
+        return Promise.resolve(1);
+    }
+
+    console.error(`Valid search config: ${args.configFile}`);
+
+    if (!args.request) {
+        return Promise.resolve(0);
+    }
+
+    const searcher = new Searcher(config);
+
+    return searcher.esRequest(args.api, {}, loadRequest(args.request))
+      .then((esRequest) => {
+          printRequest(esRequest);
+          return 0;
+      })
+      .catch((error) => {
+          if (error && error._errorCode === 'VALIDATION_ERROR') {
+              const details = _.isArray(error.details) ? error.details : [error.details];
+              printErrors(`Invalid ${args.api} request: ${error.message}`, _.map(details, detail => _.defaults({}, detail, {message: error.message})));
+              return 1;
+          }
+
+          throw error;
+      });
+}
+
+Promise.try(() => run(process.argv.slice(2)))
+  .then((exitCode) => {
+      process.exitCode = exitCode;
+  })
+  .catch((error) => {
+      console.error(error && error.stack);
+      process.exitCode = 1;
+  });
@@ -17,11 +17,30 @@ export const ASC_SORT_ORDER = 'ASC';
 export const DESC_SORT_ORDER = 'DESC';
 export const VALID_SORT_ORDERS = [ASC_SORT_ORDER, DESC_SORT_ORDER];
 
+export const NO_HITS = 'none';
+export const SINGLE_HIT = 'single';
+export const MULTIPLE_HITS = 'multiple';
+export const ANY_HITS = 'any';
+export const VALID_INTENT_RULE_HITS = [NO_HITS, SINGLE_HIT, MULTIPLE_HITS, ANY_HITS];
+
 export const SEARCH_API = 'search';
 export const AUTOCOMPLETE_API = 'autocomplete';
+export const FORM_SEARCH_API = 'formSearch';
+export const BROWSE_ALL_API = 'browseAll';
 
 export const SEARCH_EVENT = 'search';
 export const AUTOCOMPLETE_EVENT = 'autocomplete';
 export const SUGGESTED_QUERIES_EVENT = 'suggested_queries';
 export const FORM_SEARCH_EVENT = 'form_search';
-export const BROWSE_ALL_EVENT = 'browse_all';
\ No newline at end of file
+export const BROWSE_ALL_EVENT = 'browse_all';
+
+export const JSON_VIEW_FORMAT = 'json';
+export const NDJSON_VIEW_FORMAT = 'ndjson';
+export const VALID_VIEW_FORMATS = [JSON_VIEW_FORMAT, NDJSON_VIEW_FORMAT];
+
+// json view is held in memory, so it is read a part at a time, and resumed by cursor
+export const DEFAULT_JSON_VIEW_COUNT = 1000;
+export const MAX_JSON_VIEW_COUNT = 10000;
+
+// cursor that starts paging by cursor
+export const START_CURSOR = '*';
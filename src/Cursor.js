@@ -0,0 +1,80 @@
+import _ from 'lodash';
+import crypto from 'crypto';
+import md5 from 'md5';
+import ValidationError from 'humane-node-commons/lib/ValidationError';
+
+// scope of a cursor is hash of the query it pages through, so that it is not resumed with another query
+export function cursorScope(query) {
+    return md5(JSON.stringify(query));
+}
+
+function toBase64Url(buffer) {
+    return buffer.toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function sign(payload, secret) {
+    return toBase64Url(crypto.createHmac('sha256', secret).update(payload).digest());
+}
+
+// compares in time that does not depend on where signatures differ
+function signatureMatches(signature, expected) {
+    if (!_.isString(signature) || signature.length !== expected.length) {
+        return false;
+    }
+
+    let difference = 0;
+    _.forEach(expected, (char, index) => {
+        difference |= char.charCodeAt(0) ^ signature.charCodeAt(index); // eslint-disable-line no-bitwise
+    });
+
+    return difference === 0;
+}
+
+// position is {page, after, pit}, all optional: sort values after which next page is read are scalars, and point in
+// time is an id
+function isValidPosition(position) {
+    return _.isPlainObject(position)
+      && (_.isUndefined(position.page) || (_.isInteger(position.page) && position.page >= 0))
+      && (_.isNil(position.after) || (_.isArray(position.after) && _.every(position.after, value => _.isNull(value) || _.isString(value) || _.isFinite(value) || _.isBoolean(value))))
+      && (_.isNil(position.pit) || _.isString(position.pit));
+}
+
+// cursor is opaque to clients: base64url of JSON of {scope, position}, signed with HMAC of secret, so that clients can
+// not edit position
+export function encodeCursor(scope, position, secret) {
+    const payload = toBase64Url(Buffer.from(JSON.stringify({scope, position})));
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+// returns position of cursor, and throws validation error when cursor is malformed, is not signed with secret or
+// belongs to another query
+export function decodeCursor(cursor, scope, secret) {
+    const [payload, signature] = _.split(cursor, '.');
+
+    let decoded = null;
+
+    if (payload && signatureMatches(signature, sign(payload, secret))) {
+        try {
+            decoded = JSON.parse(fromBase64Url(payload).toString());
+        } catch (error) {
+            decoded = null;
+        }
+    }
+
+    if (!_.isPlainObject(decoded) || !isValidPosition(decoded.position)) {
+        throw new ValidationError('Invalid cursor', {details: {code: 'INVALID_CURSOR', cursor}});
+    }
+
+    if (decoded.scope !== scope) {
+        throw new ValidationError('Cursor does not belong to this query', {details: {code: 'CURSOR_QUERY_MISMATCH', cursor}});
+    }
+
+    return decoded.position;
+}
@@ -2,57 +2,270 @@ import _ from 'lodash';
 import Promise from 'bluebird';
 import md5 from 'md5';
 import performanceNow from 'performance-now';
-import buildRedisClient from 'humane-node-commons/lib/RedisClient';
 import * as Request from 'humane-node-commons/lib/Request';
 import InternalServiceError from 'humane-node-commons/lib/InternalServiceError';
+import Cache from './Cache';
+import buildEsDialect from './EsDialect';
+import CircuitBreaker, {CLOSED_STATE, HALF_OPEN_STATE, OPEN_STATE} from './CircuitBreaker';
+import NodePool from './NodePool';
+import Logger from './Logger';
+import Metrics from './Metrics';
+import Fixtures, {FIXTURE_NOT_FOUND} from './Fixtures';
+
+const DEFAULT_TIMEOUT = 10000; // in ms
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_MIN_DELAY = 100; // in ms
+const DEFAULT_RETRY_MAX_DELAY = 2000; // in ms
+const DEFAULT_SLOW_QUERY_THRESHOLD = 1000; // in ms
+
+const TRANSIENT_STATUS_CODES = [429, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// errors that tell a node can not be connected to, a request that times out (say, a slow query) does not tell so
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND'];
+
+// esConfig keys that are not options of request
+const CLIENT_CONFIG_KEYS = ['url', 'nodes', 'pool', 'version', 'typeField', 'timeouts', 'retry', 'circuitBreaker', 'fixtures'];
+
+// circuit breaker states as gauge values
+const CIRCUIT_BREAKER_STATE_VALUES = {[CLOSED_STATE]: 0, [HALF_OPEN_STATE]: 1, [OPEN_STATE]: 2};
+
+function statusCodeOf(response) {
+    const _response = _.isArray(response) ? response[0] : response;
+    return _response && _response.statusCode;
+}
+
+// ES is overloaded (429) or failing (5xx), which is raised as an error, so that it can be retried and counted by circuit breaker
+function checkStatus(response) {
+    const _response = _.isArray(response) ? response[0] : response;
+
+    if (_response && (_response.statusCode === 429 || _response.statusCode >= 500)) {
+        throw new InternalServiceError('Internal Service Error', {_statusCode: _response.statusCode, details: (_response.body && _response.body.error) || _response.body});
+    }
+
+    return response;
+}
+
+// status label of a failed ES call: code of error raised by searcher (say, CIRCUIT_OPEN), which comes first as such an
+// error also carries status 500, else http status, or error code (say, ECONNRESET)
+function errorStatus(error) {
+    const code = _.get(error, ['details', 'code']);
+    return (_.isString(code) && code) || (error && (error._statusCode || error.code)) || 'UNKNOWN';
+}
+
+function isTransient(error) {
+    return !!error && (_.includes(TRANSIENT_STATUS_CODES, error._statusCode) || _.includes(TRANSIENT_ERROR_CODES, error.code));
+}
+
+// errors that tell ES is unreachable or struggling, other errors (say, a bad query, or a request without fixture in
+// replay, that never reaches ES) are not held against it
+function isBreakerFailure(error) {
+    if (_.get(error, ['details', 'code']) === FIXTURE_NOT_FOUND) {
+        return false;
+    }
+
+    return !!error && (isTransient(error) || error._statusCode >= 500 || !!error.code);
+}
 
 export default class ESClient {
     constructor(config) {
-        this.request = Request.builder(_.extend({}, config.esConfig, {logLevel: config.logLevel, baseUrl: (config.esConfig && config.esConfig.url) || 'http://localhost:9200'}));
+        const esConfig = config.esConfig || {};
 
-        this.redisKeyPrefix = process.env.REDIS_KEY_PREFIX;
-        if (this.redisKeyPrefix) {
-            this.redisKeyPrefix = `${this.redisKeyPrefix}/`;
-        } else {
-            this.redisKeyPrefix = '';
-        }
+        this.logger = config.logger || new Logger(config.logLevel);
+        this.metrics = config.metrics || new Metrics();
+        this.slowQueryThreshold = _.isNumber(config.slowQueryThreshold) ? config.slowQueryThreshold : DEFAULT_SLOW_QUERY_THRESHOLD;
+
+        this.nodePool = new NodePool(esConfig, _.extend(_.omit(esConfig, CLIENT_CONFIG_KEYS), {logLevel: config.logLevel}), this.logger);
+
+        // timeouts are in ms by operation, as: {default: 10000, search: 5000, ...}
+        this.timeouts = _.defaults({}, esConfig.timeouts, {default: DEFAULT_TIMEOUT});
+        this.retryConfig = _.defaults({}, esConfig.retry, {retries: DEFAULT_RETRIES, minDelay: DEFAULT_RETRY_MIN_DELAY, maxDelay: DEFAULT_RETRY_MAX_DELAY});
+        this.circuitBreaker = new CircuitBreaker(esConfig.circuitBreaker);
+
+        // REST API differs across ES versions
+        this.dialect = buildEsDialect(config.esConfig);
+
+        // to test without a cluster: responses of ES are recorded to fixture files, or replayed from them
+        this.fixtures = esConfig.fixtures ? new Fixtures(esConfig.fixtures, this.logger) : null;
+
+        this.cache = new Cache(config.cacheConfig, _.pick(config, ['redisConfig', 'redisSentinelConfig', 'redisClient']), this.logger);
+
+        // ES calls in flight by cache key
+        this.inFlight = new Map();
+
+        this.registerMetrics();
+    }
+
+    registerMetrics() {
+        this.esLatency = this.metrics.histogram('es_request_duration_seconds', 'Time taken by ES calls, including retries', ['operation']);
+        this.esErrors = this.metrics.counter('es_errors_total', 'Failed ES calls by http status or error code', ['operation', 'status']);
+
+        const cacheSamples = (key, tiers) => () => _.map(tiers, tier => ({labels: {tier}, value: this.cache.stats()[tier][key]}));
+
+        this.metrics.collected('counter', 'cache_hits_total', 'Cache hits by tier', cacheSamples('hits', ['memory', 'redis']));
+        this.metrics.collected('counter', 'cache_misses_total', 'Cache misses by tier', cacheSamples('misses', ['memory', 'redis']));
+        this.metrics.collected('counter', 'cache_errors_total', 'Cache errors by tier', cacheSamples('errors', ['redis']));
+        this.metrics.collected('gauge', 'cache_entries', 'Entries in cache by tier', cacheSamples('size', ['memory']));
+
+        this.metrics.collected('gauge', 'circuit_breaker_state', 'State of ES circuit breaker: 0 - closed, 1 - half-open, 2 - open',
+          () => [{value: CIRCUIT_BREAKER_STATE_VALUES[this.circuitBreaker.currentState()]}]);
+        this.metrics.collected('counter', 'circuit_breaker_rejected_total', 'ES calls failed fast by circuit breaker',
+          () => [{value: this.circuitBreaker.stats().rejected}]);
+        this.metrics.collected('counter', 'circuit_breaker_opened_total', 'Times ES circuit breaker opened',
+          () => [{value: this.circuitBreaker.stats().opened}]);
 
-        this.redisClient = buildRedisClient(_.pick(config, ['redisConfig', 'redisSentinelConfig']));
+        this.metrics.collected('gauge', 'es_node_up', 'Whether ES node is in pool', () => _.map(this.nodePool.stats(), node => ({labels: {node: node.url}, value: node.alive ? 1 : 0})));
     }
 
     // throw new InternalServiceError('Internal Service Error', {code: 'INTERNAL_SERVICE_ERROR', details: response.body && response.body.error || response.body});
-    storeInCache(key, data) {
-        // nice to have: pack data with MessagePack
-        return this.redisClient.setAsync([this.redisKeyPrefix + key, JSON.stringify(data), 'EX', 300])
-          .then(() => data)
-          .catch(() => {
-              console.error('REDIS_ERROR: Error in storing key: ', this.redisKeyPrefix + key);
-              return null;
-          }); // eat the error
-    }
-
-    retrieveFromCache(key) {
-        // nice to have: pack data with MessagePack
-        return this.redisClient.getAsync(this.redisKeyPrefix + key)
-          .then((data) => {
-              if (!_.isUndefined(data) && !_.isNull(data) && _.isString(data)) {
-                  return JSON.parse(data);
+    storeInCache(key, data, ttl) {
+        return this.cache.store(key, data, ttl);
+    }
+
+    // with stale while revalidate, an expired response is returned while it is refreshed in background
+    retrieveFromCache(key, ttl, refresh, logger) {
+        return this.cache.retrieveEntry(key, ttl)
+          .then((entry) => {
+              if (!entry) {
+                  return null;
               }
 
-              return null;
-          })
-          .catch(() => {
-              console.error('REDIS_ERROR: Error in retrieving key: ', this.redisKeyPrefix + key);
-              return null;
-          }); // eat the error
+              if (entry.stale) {
+                  if (!refresh || !entry.revalidate) {
+                      return null;
+                  }
+
+                  this.fetchOnce(key, ttl, refresh)
+                    .catch((error) => {
+                        (logger || this.logger).error('Error in refreshing cached response', {key, error});
+                    }); // eat the error, stale response is served
+              }
+
+              return entry.value;
+          });
+    }
+
+    // concurrent fetches of same key share one ES call and one cache write, each caller gets its own copy of response
+    fetchOnce(key, ttl, fetch) {
+        let inFlight = this.inFlight.get(key);
+        if (!inFlight) {
+            inFlight = Promise.try(fetch)
+              .then(response => (response ? this.storeInCache(key, response, ttl) : null))
+              .finally(() => this.inFlight.delete(key));
+
+            this.inFlight.set(key, inFlight);
+        }
+
+        // callers modify responses (say, to set took), so none of them gets the shared one
+        return inFlight.then(response => _.cloneDeep(response));
+    }
+
+    // with stale if error, an expired response is returned when it can not be fetched, say while circuit breaker is open
+    fetchOrStale(key, ttl, fetch, logger) {
+        return this.fetchOnce(key, ttl, fetch)
+          .catch(error => this.cache.retrieveEntry(key, ttl)
+            .then((entry) => {
+                if (!entry || !entry.servableOnError) {
+                    throw error;
+                }
+
+                (logger || this.logger).warn('Serving stale response on error', {key, error: (error && error.message) || error});
+
+                return entry.value;
+            }));
     }
 
     removeFromCache(key) {
-        return this.redisClient.delAsync(this.redisKeyPrefix + key)
-          .catch(() => {
-              console.error('REDIS_ERROR: Error in removing key: ', this.redisKeyPrefix + key);
-              return null;
-          }); // eat the error
+        return this.cache.remove(key);
+    }
+
+    cacheStats() {
+        return this.cache.stats();
+    }
+
+    circuitBreakerStats() {
+        return this.circuitBreaker.stats();
+    }
+
+    circuitBreakerState() {
+        return this.circuitBreaker.enabled ? this.circuitBreaker.currentState() : null;
+    }
+
+    nodeStats() {
+        return this.nodePool.stats();
+    }
+
+    // sends request to a node of ES, a node that can not be connected to is removed from pool
+    request(options) {
+        if (this.fixtures && this.fixtures.replaying) {
+            return this.fixtures.replay(options);
+        }
+
+        const node = this.nodePool.select();
+        const startTime = performanceNow();
+
+        return node.request(options)
+          .then((response) => {
+              this.nodePool.succeeded(node, performanceNow() - startTime);
+
+              if (this.fixtures && this.fixtures.recording) {
+                  return this.fixtures.record(options, response);
+              }
+
+              return response;
+          })
+          .catch((error) => {
+              if (error && _.includes(CONNECTION_ERROR_CODES, error.code)) {
+                  this.nodePool.failed(node);
+              }
+
+              throw error;
+          });
+    }
+
+    // sends request to ES within timeout of the operation, and through circuit breaker.
+    // all calls made to ES are reads, so they are safely retried on transient errors (on next node), after a backoff with full jitter.
+    send(operation, options, logger) {
+        const timeout = _.get(this.timeouts, operation, this.timeouts.default);
+        const {retries, minDelay, maxDelay} = this.retryConfig;
+        const startTime = performanceNow();
+
+        const attempt = retry => this.circuitBreaker.call(() => this.request(_.extend({timeout}, options)).then(checkStatus), isBreakerFailure)
+          .tap((response) => {
+              const statusCode = statusCodeOf(response);
+              if (statusCode >= 400) {
+                  this.esErrors.inc({operation, status: statusCode});
+              }
+          })
+          .catch((error) => {
+              this.esErrors.inc({operation, status: errorStatus(error)});
+
+              if (retry >= retries || !isTransient(error)) {
+                  throw error;
+              }
+
+              // ** is not transpiled by babel preset of node 5, which has no exponentiation operator
+              // eslint-disable-next-line no-restricted-properties
+              const delay = _.random(0, Math.min(maxDelay, minDelay * Math.pow(2, retry)));
+
+              (logger || this.logger).warn('Retrying ES request', {operation, uri: options.uri, retry: retry + 1, delay, error: error._statusCode || error.code});
+
+              return Promise.delay(delay).then(() => attempt(retry + 1));
+          });
+
+        return attempt(0)
+          .finally(() => this.esLatency.observe({operation}, (performanceNow() - startTime) / 1000));
+    }
+
+    // time taken by ES is logged at debug level, and at warn level when it crosses slow query threshold
+    logTook(logger, operation, uri, startTime) {
+        const took = _.round(performanceNow() - startTime, 3);
+
+        if (took >= this.slowQueryThreshold) {
+            logger.warn('Slow ES query', {operation, uri, took, threshold: this.slowQueryThreshold});
+        } else {
+            logger.debug('ES query', {operation, uri, took});
+        }
     }
 
     static processResponse(response) {
@@ -74,25 +287,46 @@ export default class ESClient {
     //      index or indices
     //      type
     //      search
-    static bulkFormat(queries) {
+    bulkFormat(queries) {
         let ret = '';
         _.forEach(queries, (query) => {
-            ret += JSON.stringify({index: (query.indices || [query.index]).join(','), type: (query.types || [query.type]).join(',')});
+            ret += JSON.stringify(this.dialect.multiSearchHeader(query));
             ret += '\n';
-            ret += JSON.stringify(query.search);
+            ret += JSON.stringify(this.dialect.searchBody(query));
             ret += '\n';
         });
 
         return ret;
     }
 
-    allPages(index, type, query, size, cb) {
+    // builds the request that search() sends to ES
+    searchRequest(query) {
+        // search within a point in time names no index, as point in time is already of an index
+        const pointInTime = query.search && query.search.pit;
+
+        return {
+            method: 'POST',
+            uri: pointInTime ? '/_search' : this.dialect.searchUri(query.index, query.type),
+            body: this.dialect.searchBody(query)
+        };
+    }
+
+    // builds the request that multiSearch() sends to ES
+    multiSearchRequest(queries) {
+        return {
+            method: 'POST',
+            uri: '/_msearch',
+            body: this.bulkFormat(queries)
+        };
+    }
+
+    allPages(index, type, query, size, cb, logger) {
         const _this = this;
 
         let totalResults = 0;
 
         function recursiveFetch(page) {
-            return _this.search({index, type, search: _.assign({from: page * size, size}, query)})
+            return _this.search({index, type, search: _.assign({from: page * size, size}, query)}, logger)
               .then((response) => {
                   if (response && response.hits) {
                       if (page === 0) {
@@ -119,163 +353,235 @@ export default class ESClient {
           });
     }
 
-    search(queryOrPromise) {
+    // fetches page of hits that follow hit with given sort values (search_after), which unlike from/size is not limited
+    // by max_result_window. sort of query must end with a unique field. pages are not cached, as they are read once.
+    searchAfter(index, type, query, size, after, requestLogger) {
+        const logger = requestLogger || this.logger;
+        const startTime = performanceNow();
+
+        const search = _.extend({}, query, {size}, after ? {search_after: after} : {});
+        const {method, uri, body} = this.searchRequest({index, type, search});
+
+        logger.debug('ES request', {operation: 'searchAfter', uri, body});
+
+        return this.send('searchAfter', {method, uri, body}, logger)
+          .then(response => Request.handleResponse(response))
+          .then((queryResponse) => {
+              this.logTook(logger, 'searchAfter', uri, startTime);
+              return this.dialect.normalizeSearchResponse(queryResponse, type);
+          })
+          .catch((error) => {
+              logger.error('Error in ES request', {operation: 'searchAfter', error});
+              throw new InternalServiceError('Internal Service Error', {details: (error && error.cause) || error, stack: error && error.stack});
+          });
+    }
+
+    // opens a point in time on index, to page through a consistent view of it. returns id of point in time.
+    openPointInTime(index, keepAlive, requestLogger) {
+        const logger = requestLogger || this.logger;
+        const startTime = performanceNow();
+
+        const uri = `/${index}/_pit?keep_alive=${keepAlive}`;
+
+        return this.send('openPointInTime', {method: 'POST', uri}, logger)
+          .then(response => Request.handleResponse(response))
+          .then((pitResponse) => {
+              this.logTook(logger, 'openPointInTime', uri, startTime);
+              return pitResponse && pitResponse.id;
+          })
+          .catch((error) => {
+              logger.error('Error in ES request', {operation: 'openPointInTime', error});
+              throw new InternalServiceError('Internal Service Error', {details: (error && error.cause) || error, stack: error && error.stack});
+          });
+    }
+
+    search(queryOrPromise, requestLogger) {
+        const logger = requestLogger || this.logger;
         const startTime = performanceNow();
 
         return Promise.resolve(queryOrPromise)
           .then((query) => {
-              const uri = !query.type ? `/${query.index}/_search` : `/${query.index}/${query.type}/_search`;
+              const {method, uri, body} = this.searchRequest(query);
 
-              console.log('search: ', uri, JSON.stringify(query.search));
+              logger.debug('ES request', {operation: 'search', uri, body});
 
-              const queryKey = md5(JSON.stringify(query.search));
+              const queryKey = md5(JSON.stringify(body));
               const cacheKey = `${uri}:${queryKey}`;
+              const ttl = this.cache.ttl('search', query.type);
 
-              return this.retrieveFromCache(cacheKey)
+              const fetch = () => this.send('search', {method, uri, body}, logger)
+                .then(response => Request.handleResponse(response))
+                .then((queryResponse) => {
+                    this.logTook(logger, 'search', uri, startTime);
+                    return this.dialect.normalizeSearchResponse(queryResponse, query.type);
+                });
+
+              return this.retrieveFromCache(cacheKey, ttl, fetch, logger)
                 .then((cacheResponse) => {
                     if (cacheResponse) {
                         cacheResponse.took = _.round(performanceNow() - startTime, 3);
 
-                        console.log('search: Retrieved from cache in (ms): ', cacheResponse.took);
+                        logger.debug('Retrieved from cache', {operation: 'search', uri, took: cacheResponse.took});
 
                         return cacheResponse;
                     }
 
-                    return this.request({method: 'POST', uri, body: query.search})
-                      .then(response => Request.handleResponse(response))
-                      .then((queryResponse) => {
-                          console.log('search: in (ms): ', _.round(performanceNow() - startTime, 3));
-                          if (queryResponse) {
-                              return this.storeInCache(cacheKey, queryResponse);
-                          }
-
-                          return null;
-                      });
+                    return this.fetchOrStale(cacheKey, ttl, fetch, logger);
                 });
           })
           .catch((error) => {
-              console.error('Error: ', error, error.stack);
+              logger.error('Error in ES request', {operation: 'search', error});
               throw new InternalServiceError('Internal Service Error', {details: (error && error.cause) || error, stack: error && error.stack});
           });
     }
 
-    explain(id, query) {
-        const uri = `/${query.index}/${query.type}/${id}/_explain`;
+    explain(id, query, logger) {
+        const uri = this.dialect.explainUri(query.index, query.type, id);
 
-        //console.log('Explain: ', uri, JSON.stringify(query.search));
+        (logger || this.logger).debug('ES request', {operation: 'explain', uri, body: query.search});
 
-        return this.request({method: 'POST', uri, body: query.search})
+        return this.send('explain', {method: 'POST', uri, body: query.search}, logger)
           .then(response => Request.handleResponse(response))
           .catch((error) => {
               throw new InternalServiceError('Internal Service Error', {details: (error && error.cause) || error, stack: error && error.stack});
           });
     }
 
-    get(index, type, id) {
+    get(index, type, id, source, requestLogger) {
+        const logger = requestLogger || this.logger;
         const startTime = performanceNow();
 
-        const uri = `/${index}/${type}/${id}`;
+        let uri = this.dialect.docUri(index, type, id);
+        if (source) {
+            const sourceParams = this.dialect.sourceParams;
+            const params = _.compact([
+                source.includes && `${sourceParams.includes}=${encodeURIComponent(source.includes.join(','))}`,
+                source.excludes && `${sourceParams.excludes}=${encodeURIComponent(source.excludes.join(','))}`
+            ]);
+
+            uri = `${uri}?${params.join('&')}`;
+        }
 
         const cacheKey = md5(uri);
+        const ttl = this.cache.ttl('get', type);
 
-        return this.retrieveFromCache(cacheKey)
+        const fetch = () => this.send('get', {method: 'GET', uri}, logger)
+          .then(response => Request.handleResponse(response))
+          .then((getResponse) => {
+              this.logTook(logger, 'get', uri, startTime);
+              return this.dialect.normalizeGetResponse(getResponse, type);
+          });
+
+        return this.retrieveFromCache(cacheKey, ttl, fetch, logger)
           .then((cacheResponse) => {
               if (cacheResponse) {
                   cacheResponse.took = _.round(performanceNow() - startTime, 3);
 
-                  console.log('get: Retrieved from cache in (ms): ', cacheResponse.took);
+                  logger.debug('Retrieved from cache', {operation: 'get', uri, took: cacheResponse.took});
 
                   return cacheResponse;
               }
 
-              return this.request({method: 'GET', uri})
-                .then(response => Request.handleResponse(response))
-                .then((getResponse) => {
-                    console.log('get: in (ms): ', _.round(performanceNow() - startTime, 3));
-                    if (getResponse) {
-                        return this.storeInCache(cacheKey, getResponse);
-                    }
-
-                    return null;
-                });
+              return this.fetchOrStale(cacheKey, ttl, fetch, logger);
           })
           .catch((error) => {
               throw new InternalServiceError('Internal Service Error', {details: (error && error.cause) || error, stack: error && error.stack});
           });
     }
 
-    termVectors(index, type, id) {
-        const uri = `/${index}/${type}/${id}/_termvectors?fields=*`;
+    termVectors(index, type, id, logger) {
+        const uri = `${this.dialect.termVectorsUri(index, type, id)}?fields=*`;
 
-        return this.request({method: 'GET', uri})
+        return this.send('termVectors', {method: 'GET', uri}, logger)
           .then(response => Request.handleResponse(response))
           .catch((error) => {
               throw new InternalServiceError('Internal Service Error', {details: (error && error.cause) || error, stack: error && error.stack});
           });
     }
 
-    didYouMean(index, query) {
+    didYouMean(index, query, logger) {
         const uri = `/${index}/_didYouMean?q=${query}`;
 
-        return this.request({method: 'GET', uri})
+        return this.send('didYouMean', {method: 'GET', uri}, logger)
           .then(response => Request.handleResponse(response))
           .catch((error) => {
               throw new InternalServiceError('Internal Service Error', {details: (error && error.cause) || error, stack: error && error.stack});
           });
     }
 
-    intent(index, query) {
+    intent(index, query, requestLogger) {
+        const logger = requestLogger || this.logger;
         const startTime = performanceNow();
 
         const uri = `/${index}/_intent`;
 
         const queryKey = md5(JSON.stringify(query));
         const cacheKey = `${uri}:${queryKey}`;
+        const ttl = this.cache.ttl('intent');
+
+        const fetch = () => {
+            logger.debug('ES request', {operation: 'intent', uri, body: query});
 
-        return this.retrieveFromCache(cacheKey)
+            return this.send('intent', {method: 'POST', uri, body: query}, logger)
+              .then(response => Request.handleResponse(response))
+              .then((queryResponse) => {
+                  this.logTook(logger, 'intent', uri, startTime);
+                  return queryResponse;
+              });
+        };
+
+        return this.retrieveFromCache(cacheKey, ttl, fetch, logger)
           .then((cacheResponse) => {
               if (cacheResponse) {
                   cacheResponse.took = _.round(performanceNow() - startTime, 3);
 
-                  console.log('intent: Retrieved from cache in (ms): ', cacheResponse.took);
+                  logger.debug('Retrieved from cache', {operation: 'intent', uri, took: cacheResponse.took});
 
                   return cacheResponse;
               }
 
-              console.log('intent: ', uri, JSON.stringify(query));
-
-              return this.request({method: 'POST', uri, body: query})
-                .then(response => Request.handleResponse(response))
-                .then((queryResponse) => {
-                    console.log('intent: in (ms): ', _.round(performanceNow() - startTime, 3));
-                    if (queryResponse) {
-                        return this.storeInCache(cacheKey, queryResponse);
-                    }
-
-                    return null;
-                });
+              return this.fetchOrStale(cacheKey, ttl, fetch, logger);
           })
           .catch((error) => {
-              console.error('Error: ', error, error.stack);
+              logger.error('Error in ES request', {operation: 'intent', error});
               throw new InternalServiceError('Internal Service Error', {details: (error && error.cause) || error, stack: error && error.stack});
           });
     }
 
-    multiSearch(queriesOrPromise) {
+    multiSearch(queriesOrPromise, requestLogger) {
+        const logger = requestLogger || this.logger;
         const startTime = performanceNow();
 
         return Promise.all(queriesOrPromise)
           .then((queries) => {
-              const uri = '/_msearch';
-
-              console.log('multiSearch: ', JSON.stringify(queries));
+              const {method, uri, body: bulkQuery} = this.multiSearchRequest(queries);
 
-              const bulkQuery = ESClient.bulkFormat(queries);
+              logger.debug('ES request', {operation: 'multiSearch', uri, body: queries});
 
               const queryKey = md5(bulkQuery);
               const cacheKey = `${uri}:${queryKey}`;
+              const ttl = this.cache.ttl('multiSearch', _.compact(_.flatMap(queries, query => query.types || [query.type])));
+
+              const fetch = () => this.send('multiSearch', {method, uri, body: bulkQuery, json: false}, logger)
+                .then(ESClient.processResponse)
+                .then((response) => {
+                    if (!_.isUndefined(response) && !_.isNull(response) && _.isString(response)) {
+                        return JSON.parse(response);
+                    }
+
+                    return null;
+                })
+                .then((queryResponse) => {
+                    this.logTook(logger, 'multiSearch', uri, startTime);
+
+                    _.forEach(queryResponse && queryResponse.responses, (response, index) => {
+                        this.dialect.normalizeSearchResponse(response, queries[index] && queries[index].type);
+                    });
 
-              return this.retrieveFromCache(cacheKey)
+                    return queryResponse;
+                });
+
+              return this.retrieveFromCache(cacheKey, ttl, fetch, logger)
                 .then((cacheResponse) => {
                     if (cacheResponse) {
                         cacheResponse.took = _.round(performanceNow() - startTime, 3);
@@ -287,66 +593,43 @@ export default class ESClient {
                             });
                         }
 
-                        console.log('multiSearch: Retrieved from cache in (ms): ', cacheResponse.took);
+                        logger.debug('Retrieved from cache', {operation: 'multiSearch', uri, took: cacheResponse.took});
                         return cacheResponse;
                     }
 
-                    return this.request({method: 'POST', uri, body: bulkQuery, json: false})
-                      .then(ESClient.processResponse)
-                      .then((response) => {
-                          if (!_.isUndefined(response) && !_.isNull(response) && _.isString(response)) {
-                              return JSON.parse(response);
-                          }
-
-                          return null;
-                      })
-                      .then((queryResponse) => {
-                          console.log('multiSearch: in (ms): ', _.round(performanceNow() - startTime, 3));
-                          if (queryResponse) {
-                              return this.storeInCache(cacheKey, queryResponse);
-                          }
-
-                          return null;
-                      });
+                    return this.fetchOrStale(cacheKey, ttl, fetch, logger);
                 });
           })
           .catch((error) => {
-              console.error('Error: ', error, error.stack);
+              logger.error('Error in ES request', {operation: 'multiSearch', error});
               throw new InternalServiceError('Internal Service Error', {details: (error && error.cause) || error, stack: error && error.stack});
           });
     }
 
-    // analyze(index, analyzer, text) {
-    //     const uri = `/${index}/_analyze?analyzer=${analyzer}&text=${encodeURIComponent(text)}`;
-    //     return this.request({method: 'GET', uri})
-    //       .then(ESClient.processResponse)
-    //       .catch(error => {
-    //           throw new InternalServiceError('Internal Service Error', {details: error && error.cause || error, stack: error && error.stack});
-    //       });
-    // }
-
-//    curl -XGET 'http://localhost:9200/imdb/movies/_validate/query?rewrite=true' -d '
-//{
-//    "query": {
-//      "fuzzy": {
-//        "actors": "kyle"
-//        }
-//      }
-//}'
-//
-//{
-//    "valid": true,
-//    "_shards": {
-//      "total": 1,
-//      "successful": 1,
-//      "failed": 0
-//      },
-//    "explanations": [
-//    {
-//        "index": "imdb",
-//        "valid": true,
-//        "explanation": "plot:kyle plot:kylie^0.75 plot:kyne^0.75 plot:lyle^0.75 plot:pyle^0.75 #_type:movies"
-//    }
-//      ]
-//}
-}
\ No newline at end of file
+    // ES validates query, and returns it as rewritten for Lucene, in explanations by index
+    validateQuery(query, logger) {
+        const uri = `${this.dialect.validateQueryUri(query.index, query.type)}?rewrite=true`;
+        const body = {query: this.dialect.searchBody(query).query};
+
+        (logger || this.logger).debug('ES request', {operation: 'validateQuery', uri, body});
+
+        return this.send('validateQuery', {method: 'POST', uri, body}, logger)
+          .then(response => Request.handleResponse(response))
+          .catch((error) => {
+              throw new InternalServiceError('Internal Service Error', {details: (error && error.cause) || error, stack: error && error.stack});
+          });
+    }
+
+    // tokens of text as per analyzer of a field, or an analyzer: body is {text, field} or {text, analyzer}
+    analyze(index, body, logger) {
+        const uri = `/${index}/_analyze`;
+
+        (logger || this.logger).debug('ES request', {operation: 'analyze', uri, body});
+
+        return this.send('analyze', {method: 'POST', uri, body}, logger)
+          .then(response => Request.handleResponse(response))
+          .catch((error) => {
+              throw new InternalServiceError('Internal Service Error', {details: (error && error.cause) || error, stack: error && error.stack});
+          });
+    }
+}
@@ -0,0 +1,129 @@
+import _ from 'lodash';
+
+export const TYPED_DIALECT = 'typed';
+export const TYPELESS_DIALECT = 'typeless';
+
+// field of document that holds its type, when ES has no mapping types
+export const DEFAULT_TYPE_FIELD = '__type__';
+
+// mapping types are gone from ES 7 on, and from all OpenSearch versions
+function dialectName(version) {
+    if (!version) {
+        return TYPED_DIALECT;
+    }
+
+    const versionString = _.toLower(_.toString(version));
+    if (_.startsWith(versionString, 'opensearch')) {
+        return TYPELESS_DIALECT;
+    }
+
+    return _.parseInt(versionString) >= 7 ? TYPELESS_DIALECT : TYPED_DIALECT;
+}
+
+// point in time is of ES 7.10 on, OpenSearch has an API of its own for it
+function supportsPointInTime(version) {
+    const versionString = _.toLower(_.toString(version));
+    if (!version || _.startsWith(versionString, 'opensearch')) {
+        return false;
+    }
+
+    const [major, minor] = _.map(versionString.split('.'), part => _.parseInt(part) || 0);
+    return major > 7 || (major === 7 && minor >= 10);
+}
+
+// hits.total is an object of {value, relation} from ES 7 on, and hits have no _type (or '_doc' as _type)
+function normalizeHits(response, typeField, type) {
+    const hits = response && response.hits;
+    if (!hits) {
+        return response;
+    }
+
+    if (_.isObject(hits.total)) {
+        hits.total = hits.total.value;
+    }
+
+    _.forEach(hits.hits, (hit) => {
+        if (!hit._type || hit._type === '_doc') {
+            hit._type = _.get(hit, ['_source', typeField]) || type;
+        }
+    });
+
+    return response;
+}
+
+function typedDialect() {
+    return {
+        name: TYPED_DIALECT,
+        searchUri: (index, type) => (!type ? `/${index}/_search` : `/${index}/${type}/_search`),
+        docUri: (index, type, id) => `/${index}/${type}/${id}`,
+        explainUri: (index, type, id) => `/${index}/${type}/${id}/_explain`,
+        termVectorsUri: (index, type, id) => `/${index}/${type}/${id}/_termvectors`,
+        validateQueryUri: (index, type) => (!type ? `/${index}/_validate/query` : `/${index}/${type}/_validate/query`),
+        multiSearchHeader: query => ({index: (query.indices || [query.index]).join(','), type: (query.types || [query.type]).join(',')}),
+        searchBody: query => query.search,
+        typeFilter: type => ({term: {_type: {value: type}}}),
+        tiebreakerField: '_uid',
+        pointInTime: false,
+        sourceParams: {includes: '_source_include', excludes: '_source_exclude'},
+        normalizeSearchResponse: (response, type) => normalizeHits(response, null, type),
+        normalizeGetResponse: response => response
+    };
+}
+
+// type scoped calls are made on index, with a filter on type field of documents
+function typelessDialect(typeField, pointInTime) {
+    const typeFilter = type => ({term: {[typeField]: {value: type}}});
+
+    return {
+        name: TYPELESS_DIALECT,
+        searchUri: index => `/${index}/_search`,
+        docUri: (index, type, id) => `/${index}/_doc/${id}`,
+        explainUri: (index, type, id) => `/${index}/_explain/${id}`,
+        termVectorsUri: (index, type, id) => `/${index}/_termvectors/${id}`,
+        validateQueryUri: index => `/${index}/_validate/query`,
+        multiSearchHeader: query => ({index: (query.indices || [query.index]).join(',')}),
+        searchBody: (query) => {
+            const types = _.compact(query.types || [query.type]);
+            if (_.isEmpty(types)) {
+                return query.search;
+            }
+
+            const search = _.clone(query.search);
+
+            const filter = types.length === 1 ? typeFilter(types[0]) : {bool: {should: _.map(types, typeFilter), minimum_should_match: 1}};
+            search.query = {bool: {must: search.query || {match_all: {}}, filter}};
+
+            // type field is needed to know type of hits
+            const includes = _.get(search, ['_source', 'includes']);
+            if (includes && !_.includes(includes, typeField)) {
+                search._source = _.defaults({includes: _.concat(includes, typeField)}, search._source);
+            }
+
+            return search;
+        },
+        typeFilter,
+        tiebreakerField: '_id',
+        pointInTime,
+        sourceParams: {includes: '_source_includes', excludes: '_source_excludes'},
+        normalizeSearchResponse: (response, type) => normalizeHits(response, typeField, type),
+        normalizeGetResponse: (response, type) => {
+            if (response && (!response._type || response._type === '_doc')) {
+                response._type = _.get(response, ['_source', typeField]) || type;
+            }
+
+            return response;
+        }
+    };
+}
+
+// builds dialect of ES REST API as per esConfig.version, with esConfig.typeField being the field that holds document type
+// for versions without mapping types
+export default function buildEsDialect(esConfig) {
+    const config = esConfig || {};
+
+    if (dialectName(config.version) === TYPELESS_DIALECT) {
+        return Object.freeze(typelessDialect(config.typeField || DEFAULT_TYPE_FIELD, supportsPointInTime(config.version)));
+    }
+
+    return Object.freeze(typedDialect());
+}
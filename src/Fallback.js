@@ -0,0 +1,31 @@
+import _ from 'lodash';
+
+export const FUZZY_STEP = 'fuzzy';
+export const DROP_FILTERS_STEP = 'dropFilters';
+export const MINIMUM_SHOULD_MATCH_STEP = 'minimumShouldMatch';
+export const ALL_TYPES_STEP = 'allTypes';
+export const SPELLING_STEP = 'spelling';
+export const STEP_TYPES = [FUZZY_STEP, DROP_FILTERS_STEP, MINIMUM_SHOULD_MATCH_STEP, ALL_TYPES_STEP, SPELLING_STEP];
+
+export const DEFAULT_MINIMUM_SHOULD_MATCH = '50%';
+
+function words(text) {
+    return _.words(text, /\S+/g);
+}
+
+// returns input relaxed by step, or null when step would not change search of input. spelling step is left to searcher,
+// as it needs suggestions of ES.
+export default function relaxInput(step, input) {
+    if (step.type === FUZZY_STEP) {
+        return input.fuzzySearch === false ? _.defaults({fuzzySearch: true}, input) : null;
+    } else if (step.type === DROP_FILTERS_STEP) {
+        const filter = _.pick(input.filter, step.keep || []);
+        return _.size(filter) < _.size(input.filter) ? _.defaults({filter}, input) : null;
+    } else if (step.type === MINIMUM_SHOULD_MATCH_STEP) {
+        return words(input.text).length > 1 ? _.defaults({minimumShouldMatch: step.value || DEFAULT_MINIMUM_SHOULD_MATCH}, input) : null;
+    } else if (step.type === ALL_TYPES_STEP) {
+        return input.type && input.type !== '*' ? _.defaults({type: '*'}, input) : null;
+    }
+
+    return null;
+}
@@ -0,0 +1,119 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+import fs from 'fs';
+import path from 'path';
+import md5 from 'md5';
+import InternalServiceError from 'humane-node-commons/lib/InternalServiceError';
+import Logger from './Logger';
+
+export const RECORD_MODE = 'record';
+export const REPLAY_MODE = 'replay';
+export const FIXTURE_MODES = [RECORD_MODE, REPLAY_MODE];
+export const FIXTURE_NOT_FOUND = 'FIXTURE_NOT_FOUND';
+
+const readFile = Promise.promisify(fs.readFile);
+const writeFile = Promise.promisify(fs.writeFile);
+const mkdir = Promise.promisify(fs.mkdir);
+
+// multi search body is a string of JSON lines, others are objects
+function bodyHash(body) {
+    return md5(_.isString(body) ? body : JSON.stringify(_.isUndefined(body) ? null : body));
+}
+
+// creates directory with missing parents, as recursive option of mkdir is not there before node 10.12
+function makeDir(dir) {
+    return mkdir(dir)
+      .catch((error) => {
+          if (error.code === 'EEXIST') {
+              return null;
+          }
+
+          if (error.code !== 'ENOENT') {
+              throw error;
+          }
+
+          return makeDir(path.dirname(dir)).then(() => makeDir(dir));
+      });
+}
+
+// request is matched by method, uri and hash of its body, name of file keeps method and uri readable
+export function fixtureKey(options) {
+    const method = _.toUpper(options.method || 'GET');
+    const hash = bodyHash(options.body);
+
+    return {
+        method,
+        uri: options.uri,
+        bodyHash: hash,
+        file: `${_.kebabCase(`${method} ${options.uri}`)}-${md5(`${method} ${options.uri} ${hash}`)}.json`
+    };
+}
+
+// records responses of ES to fixture files, or replays them, so that searcher can be tested without a cluster.
+//
+// config is in following format:
+//      mode: 'record' or 'replay'
+//      dir: directory of fixture files, one file per distinct request
+//
+// in replay mode, a request without fixture fails with code FIXTURE_NOT_FOUND, rather than reaching out to ES.
+export default class Fixtures {
+    constructor(config, logger) {
+        this.mode = config.mode;
+        this.dir = config.dir;
+        this.logger = logger || new Logger();
+    }
+
+    get replaying() {
+        return this.mode === REPLAY_MODE;
+    }
+
+    get recording() {
+        return this.mode === RECORD_MODE;
+    }
+
+    // response is stored as status and body, which is all that is read of it
+    record(options, response) {
+        const _response = _.isArray(response) ? response[0] : response;
+        const key = fixtureKey(options);
+
+        const fixture = {
+            method: key.method,
+            uri: key.uri,
+            bodyHash: key.bodyHash,
+            statusCode: _response.statusCode,
+            body: _response.body
+        };
+
+        return makeDir(this.dir)
+          .then(() => writeFile(path.join(this.dir, key.file), `${JSON.stringify(fixture, null, 2)}\n`))
+          .then(() => response)
+          .catch((error) => {
+              this.logger.error('Error in recording ES fixture', {uri: key.uri, file: key.file, error});
+              return response;
+          }); // eat the error, recording must not fail the call
+    }
+
+    // returns response in shape of that of request
+    replay(options) {
+        const key = fixtureKey(options);
+        const file = path.join(this.dir, key.file);
+
+        return readFile(file, 'utf8')
+          .catch(() => {
+              this.logger.error('No ES fixture for request', {method: key.method, uri: key.uri, bodyHash: key.bodyHash, file});
+
+              throw new InternalServiceError('No fixture for ES request', {
+                  details: {code: FIXTURE_NOT_FOUND, method: key.method, uri: key.uri, bodyHash: key.bodyHash, file}
+              });
+          })
+          .then((data) => {
+              const fixture = JSON.parse(data);
+
+              return {
+                  statusCode: fixture.statusCode,
+                  body: fixture.body,
+                  request: {method: key.method, href: key.uri}
+              };
+          });
+    }
+}
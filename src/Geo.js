@@ -0,0 +1,70 @@
+import _ from 'lodash';
+
+// type of filters and sorts on a geo point field, and of facets of distance rings around origin of request
+export const GEO_TYPE = 'geo';
+export const GEO_DISTANCE_FACET_TYPE = 'geo_distance';
+
+export const KM_UNIT = 'km';
+export const M_UNIT = 'm';
+export const MI_UNIT = 'mi';
+export const DISTANCE_UNITS = [KM_UNIT, M_UNIT, MI_UNIT];
+export const DEFAULT_DISTANCE_UNIT = KM_UNIT;
+
+const EARTH_RADIUS = {
+    [KM_UNIT]: 6371.0088,
+    [M_UNIT]: 6371008.8,
+    [MI_UNIT]: 3958.7613
+};
+
+// decimals of distance in response
+const DISTANCE_PRECISION = 3;
+
+function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+}
+
+// returns {lat, lon} of a geo point as ES takes it: {lat, lon}, 'lat,lon' or [lon, lat]. geohash is not supported, and
+// gives null.
+export function geoPoint(value) {
+    let lat;
+    let lon;
+
+    if (_.isArray(value)) {
+        [lon, lat] = value;
+    } else if (_.isString(value)) {
+        [lat, lon] = _.split(value, ',');
+    } else if (_.isPlainObject(value)) {
+        ({lat, lon} = value);
+    }
+
+    lat = _.toNumber(lat);
+    lon = _.toNumber(lon);
+
+    if (_.isNil(value) || !_.isFinite(lat) || !_.isFinite(lon)) {
+        return null;
+    }
+
+    return {lat, lon};
+}
+
+// great circle (haversine) distance between points in unit, as ES arc distance does
+export function geoDistance(from, to, unit) {
+    const fromPoint = geoPoint(from);
+    const toPoint = geoPoint(to);
+
+    if (!fromPoint || !toPoint) {
+        return undefined;
+    }
+
+    const latDelta = toRadians(toPoint.lat - fromPoint.lat);
+    const lonDelta = toRadians(toPoint.lon - fromPoint.lon);
+
+    const latSine = Math.sin(latDelta / 2);
+    const lonSine = Math.sin(lonDelta / 2);
+
+    const haversine = (latSine * latSine) + (Math.cos(toRadians(fromPoint.lat)) * Math.cos(toRadians(toPoint.lat)) * lonSine * lonSine);
+
+    const distance = 2 * EARTH_RADIUS[unit || DEFAULT_DISTANCE_UNIT] * Math.atan2(Math.sqrt(haversine), Math.sqrt(1 - haversine));
+
+    return _.round(distance, DISTANCE_PRECISION);
+}
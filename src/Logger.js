@@ -0,0 +1,99 @@
+import _ from 'lodash';
+import crypto from 'crypto';
+
+export const TRACE_LEVEL = 'trace';
+export const DEBUG_LEVEL = 'debug';
+export const INFO_LEVEL = 'info';
+export const WARN_LEVEL = 'warn';
+export const ERROR_LEVEL = 'error';
+
+const LEVELS = {
+    [TRACE_LEVEL]: 0,
+    [DEBUG_LEVEL]: 1,
+    [INFO_LEVEL]: 2,
+    [WARN_LEVEL]: 3,
+    [ERROR_LEVEL]: 4
+};
+
+export const VALID_LEVELS = _.keys(LEVELS);
+
+export const REQUEST_ID_HEADER = 'x-request-id';
+
+// errors do not stringify to JSON, humane errors carry status and details of failure, and stack of bad input is noise
+function serializeError(error) {
+    return _.omitBy({
+        message: error.message,
+        code: error.code || error._errorCode,
+        statusCode: error._statusCode,
+        details: error.details,
+        stack: error._errorCode === 'VALIDATION_ERROR' ? undefined : error.stack
+    }, _.isUndefined);
+}
+
+function replacer(key, value) {
+    return value instanceof Error ? serializeError(value) : value;
+}
+
+// returns request id of incoming headers, or a new one
+export function requestId(headers) {
+    return (headers && headers[REQUEST_ID_HEADER]) || crypto.randomBytes(8).toString('hex');
+}
+
+// returns copy of headers that surely has a request id, so that it is carried through to ES calls and events
+export function withRequestId(headers) {
+    if (headers && headers[REQUEST_ID_HEADER]) {
+        return headers;
+    }
+
+    return _.extend({}, headers, {[REQUEST_ID_HEADER]: requestId(headers)});
+}
+
+// writes log records as JSON lines, of levels at or above log level, with fields of logger in every record:
+//      {"time":"...","level":"info","msg":"...","requestId":"...",...}
+// warnings and errors go to stderr, rest to stdout
+export default class Logger {
+    constructor(level, fields) {
+        this.level = _.has(LEVELS, level) ? level : INFO_LEVEL;
+        this.fields = fields || {};
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    // logger for a scope (say, a request), with given fields added to every record
+    child(fields) {
+        return new Logger(this.level, _.extend({}, this.fields, _.omitBy(fields, _.isUndefined)));
+    }
+
+    log(level, msg, fields) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+
+        const record = _.extend({time: new Date().toISOString(), level, msg}, this.fields, fields);
+        const stream = LEVELS[level] >= LEVELS[WARN_LEVEL] ? process.stderr : process.stdout;
+
+        stream.write(`${JSON.stringify(record, replacer)}\n`);
+    }
+
+    trace(msg, fields) {
+        this.log(TRACE_LEVEL, msg, fields);
+    }
+
+    debug(msg, fields) {
+        this.log(DEBUG_LEVEL, msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log(INFO_LEVEL, msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log(WARN_LEVEL, msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log(ERROR_LEVEL, msg, fields);
+    }
+}
@@ -0,0 +1,42 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+
+// stand-in for redis client, as used by cache, that keeps keys in memory: to run searcher without redis, say in tests.
+// it is passed to searcher as redisClient.
+export default class MemoryRedisClient {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    // expired keys are removed as they are read
+    getAsync(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return Promise.resolve(null);
+        }
+
+        return Promise.resolve(entry ? entry.value : null);
+    }
+
+    // args are as of redis SET command: [key, value] or [key, value, 'EX', seconds]
+    setAsync(args) {
+        const [key, value, ...options] = args;
+
+        const exIndex = _.findIndex(options, option => _.toUpper(option) === 'EX');
+        const expiresAt = exIndex >= 0 ? Date.now() + (_.toNumber(options[exIndex + 1]) * 1000) : Infinity;
+
+        this.entries.set(key, {value: _.toString(value), expiresAt});
+
+        return Promise.resolve('OK');
+    }
+
+    delAsync(key) {
+        return Promise.resolve(this.entries.delete(key) ? 1 : 0);
+    }
+
+    flushallAsync() {
+        this.entries.clear();
+        return Promise.resolve('OK');
+    }
+}
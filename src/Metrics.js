@@ -0,0 +1,149 @@
+import _ from 'lodash';
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// in seconds
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// in bytes
+export const SIZE_BUCKETS = [256, 1024, 4096, 16384, 65536, 262144, 1048576];
+
+function escapeLabelValue(value) {
+    return _.toString(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = _.map(labels, (value, name) => `${name}="${escapeLabelValue(value)}"`);
+    return _.isEmpty(pairs) ? '' : `{${pairs.join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+
+    return _.toString(value);
+}
+
+// series of a metric are kept by key of their label values, in order of label names
+class Metric {
+    constructor(type, name, help, labelNames) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames || [];
+        this.series = new Map();
+    }
+
+    seriesOf(labels, init) {
+        const labelValues = _.map(this.labelNames, labelName => _.toString(_.get(labels, labelName, '')));
+        const key = labelValues.join('\u0000');
+
+        let series = this.series.get(key);
+        if (!series) {
+            series = _.extend({labels: _.zipObject(this.labelNames, labelValues)}, init());
+            this.series.set(key, series);
+        }
+
+        return series;
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels, value) {
+        this.seriesOf(labels, () => ({value: 0})).value += _.isUndefined(value) ? 1 : value;
+    }
+
+    lines() {
+        return _.map(Array.from(this.series.values()), series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = _.sortBy(buckets || LATENCY_BUCKETS);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesOf(labels, () => ({counts: _.map(this.buckets, () => 0), sum: 0, count: 0}));
+
+        _.forEach(this.buckets, (bound, index) => {
+            if (value <= bound) {
+                series.counts[index] += 1;
+            }
+        });
+
+        series.sum += value;
+        series.count += 1;
+    }
+
+    lines() {
+        return _.flatMap(Array.from(this.series.values()), series => _.concat(
+          _.map(this.buckets, (bound, index) => `${this.name}_bucket${formatLabels(_.extend({}, series.labels, {le: formatValue(bound)}))} ${series.counts[index]}`),
+          `${this.name}_bucket${formatLabels(_.extend({}, series.labels, {le: '+Inf'}))} ${series.count}`,
+          `${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`,
+          `${this.name}_count${formatLabels(series.labels)} ${series.count}`
+        ));
+    }
+}
+
+// values of a collected metric (say, counters kept by cache) are read at the time of exposition,
+// through collect() that returns [{labels, value}]
+class CollectedMetric extends Metric {
+    constructor(type, name, help, collect) {
+        super(type, name, help);
+        this.collect = collect;
+    }
+
+    lines() {
+        return _.map(this.collect(), sample => `${this.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+}
+
+// registry of metrics, exposed in Prometheus text format
+export default class Metrics {
+    constructor(prefix) {
+        this.prefix = prefix || 'searcher';
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        const existing = this.metrics.get(metric.name);
+        if (existing) {
+            return existing;
+        }
+
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(`${this.prefix}_${name}`, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(`${this.prefix}_${name}`, help, labelNames, buckets));
+    }
+
+    collected(type, name, help, collect) {
+        return this.register(new CollectedMetric(type, `${this.prefix}_${name}`, help, collect));
+    }
+
+    expose() {
+        const lines = _.flatMap(Array.from(this.metrics.values()), (metric) => {
+            const metricLines = metric.lines();
+            return _.isEmpty(metricLines) ? [] : _.concat(metric.header(), metricLines);
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+}
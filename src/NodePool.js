@@ -0,0 +1,186 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+import performanceNow from 'performance-now';
+import * as Request from 'humane-node-commons/lib/Request';
+import Logger from './Logger';
+
+export const ROUND_ROBIN_SELECTOR = 'roundRobin';
+export const LEAST_LATENCY_SELECTOR = 'leastLatency';
+export const SELECTORS = [ROUND_ROBIN_SELECTOR, LEAST_LATENCY_SELECTOR];
+
+const DEFAULT_URL = 'http://localhost:9200';
+const DEFAULT_PING_INTERVAL = 10000; // in ms
+const DEFAULT_PING_TIMEOUT = 2000; // in ms
+const DEFAULT_SNIFF_INTERVAL = 60000; // in ms
+
+// weight of latest latency in moving average of latency of node
+const LATENCY_DECAY = 0.3;
+
+// config is in following format, all keys being optional:
+//      nodes: ['http://es1:9200', 'http://es2:9200'] - or url: 'http://localhost:9200' for one node
+//      pool: {
+//          selector: 'roundRobin' or 'leastLatency'
+//          pingInterval: 10000 - in ms, 0 to not ping
+//          pingTimeout: 2000 - in ms
+//          sniff: {interval: 60000} - in ms, to discover http nodes of cluster, off by default
+//      }
+//
+// a node that fails with a connection error is removed till a ping finds it alive again. when all nodes are dead,
+// the one that died first is still tried, rather than failing every call. configured nodes are kept in pool along with
+// sniffed ones, so that the pool is not left with only nodes that the client can not reach.
+export default class NodePool {
+    constructor(esConfig, requestOptions, logger) {
+        const config = esConfig || {};
+
+        const poolConfig = _.defaults({}, config.pool, {selector: ROUND_ROBIN_SELECTOR, pingInterval: DEFAULT_PING_INTERVAL, pingTimeout: DEFAULT_PING_TIMEOUT});
+
+        this.logger = logger || new Logger();
+        this.requestOptions = requestOptions || {};
+        this.selector = poolConfig.selector;
+        this.pingInterval = poolConfig.pingInterval;
+        this.pingTimeout = poolConfig.pingTimeout;
+        this.sniffInterval = poolConfig.sniff ? (poolConfig.sniff.interval || DEFAULT_SNIFF_INTERVAL) : 0;
+
+        this.nodes = _.map(_.uniq(config.nodes || [config.url || DEFAULT_URL]), url => this.buildNode(url));
+        this.seedUrls = _.map(this.nodes, 'url');
+        this.nextIndex = 0;
+        this.timers = [];
+    }
+
+    buildNode(url) {
+        return {
+            url: _.trimEnd(url, '/'),
+            request: Request.builder(_.extend({}, this.requestOptions, {baseUrl: url})),
+            alive: true,
+            deadSince: 0,
+            latency: 0,
+            requests: 0,
+            failures: 0
+        };
+    }
+
+    // pings and sniffs start with first call, so that searcher can be built offline (say, to validate config)
+    start() {
+        if (this.started) {
+            return;
+        }
+
+        this.started = true;
+
+        if (this.pingInterval > 0) {
+            this.timers.push(setInterval(() => this.ping(), this.pingInterval));
+        }
+
+        if (this.sniffInterval > 0) {
+            this.sniff();
+            this.timers.push(setInterval(() => this.sniff(), this.sniffInterval));
+        }
+
+        // timers must not keep process running
+        _.forEach(this.timers, timer => timer.unref && timer.unref());
+    }
+
+    stop() {
+        _.forEach(this.timers, timer => clearInterval(timer));
+        this.timers = [];
+        this.started = false;
+    }
+
+    select() {
+        this.start();
+
+        const aliveNodes = _.filter(this.nodes, 'alive');
+        if (_.isEmpty(aliveNodes)) {
+            return _.minBy(this.nodes, 'deadSince');
+        }
+
+        if (this.selector === LEAST_LATENCY_SELECTOR) {
+            return _.minBy(aliveNodes, 'latency');
+        }
+
+        const node = aliveNodes[this.nextIndex % aliveNodes.length];
+        this.nextIndex = (this.nextIndex + 1) % aliveNodes.length;
+
+        return node;
+    }
+
+    succeeded(node, latency) {
+        node.requests += 1;
+        node.latency = node.latency ? ((1 - LATENCY_DECAY) * node.latency) + (LATENCY_DECAY * latency) : latency;
+
+        if (!node.alive) {
+            this.reinstate(node);
+        }
+    }
+
+    failed(node) {
+        node.requests += 1;
+        node.failures += 1;
+
+        this.remove(node);
+    }
+
+    remove(node) {
+        if (node.alive) {
+            node.alive = false;
+            node.deadSince = Date.now();
+
+            this.logger.error('ES node removed', {node: node.url});
+        }
+    }
+
+    reinstate(node) {
+        node.alive = true;
+        node.deadSince = 0;
+
+        this.logger.info('ES node reinstated', {node: node.url});
+    }
+
+    // any response tells node is up, even a failed one, as health of cluster is for circuit breaker to judge.
+    // pings are not counted in requests and failures of node.
+    ping() {
+        return Promise.all(_.map(this.nodes, (node) => {
+            const startTime = performanceNow();
+
+            return Promise.resolve(node.request({method: 'HEAD', uri: '/', timeout: this.pingTimeout}))
+              .then(() => {
+                  node.latency = node.latency || (performanceNow() - startTime);
+
+                  if (!node.alive) {
+                      this.reinstate(node);
+                  }
+              })
+              .catch(() => this.remove(node));
+        }));
+    }
+
+    // replaces nodes with configured nodes and http nodes of cluster, keeping state of known nodes
+    sniff() {
+        const node = this.select();
+        const protocol = _.startsWith(node.url, 'https') ? 'https' : 'http';
+
+        return Promise.resolve(node.request({method: 'GET', uri: '/_nodes/http', timeout: this.pingTimeout}))
+          .then((response) => {
+              const urls = _(response && response.body && response.body.nodes)
+                .map(clusterNode => _.get(clusterNode, ['http', 'publish_address']))
+                .compact()
+                .map(address => `${protocol}://${_.last(address.split('/'))}`)
+                .uniq()
+                .value();
+
+              if (_.isEmpty(urls)) {
+                  return;
+              }
+
+              const knownNodes = _.keyBy(this.nodes, 'url');
+              this.nodes = _.map(_.union(this.seedUrls, urls), url => knownNodes[url] || this.buildNode(url));
+          })
+          .catch((error) => {
+              this.logger.error('Error in sniffing ES nodes', {error});
+          }); // eat the error, known nodes are kept
+    }
+
+    stats() {
+        return _.map(this.nodes, node => _.pick(node, ['url', 'alive', 'latency', 'requests', 'failures']));
+    }
+}
@@ -0,0 +1,98 @@
+import _ from 'lodash';
+
+export const NONE_STRATEGY = 'none';
+export const RATIO_TO_PREVIOUS_STRATEGY = 'ratioToPrevious';
+export const RATIO_TO_TOP_STRATEGY = 'ratioToTop';
+export const MIN_SCORE_STRATEGY = 'minScore';
+export const DEFLECTION_STRATEGY = 'deflection';
+export const FUNCTION_STRATEGY = 'function';
+export const STRATEGIES = [NONE_STRATEGY, RATIO_TO_PREVIOUS_STRATEGY, RATIO_TO_TOP_STRATEGY, MIN_SCORE_STRATEGY, DEFLECTION_STRATEGY, FUNCTION_STRATEGY];
+
+export const RATIO_STRATEGIES = [RATIO_TO_PREVIOUS_STRATEGY, RATIO_TO_TOP_STRATEGY, DEFLECTION_STRATEGY];
+
+// hits scoring less than 40% of previous hit were always dropped, so that stays the default
+export const DEFAULT_CUTOFF = Object.freeze({strategy: RATIO_TO_PREVIOUS_STRATEGY});
+
+const DEFAULT_DEFLECTION_RATIO = 0.5;
+
+const DEFAULT_RATIOS = {
+    [RATIO_TO_PREVIOUS_STRATEGY]: 0.4,
+    [RATIO_TO_TOP_STRATEGY]: 0.4,
+    [DEFLECTION_STRATEGY]: DEFAULT_DEFLECTION_RATIO
+};
+
+// relevancy of a result is its score without the boost of its weight
+export function relevancyScore(result) {
+    return result._score / (result._weight || 1.0);
+}
+
+// returns score till which results are to be kept, that is the score before first drop below ratio of previous score,
+// or 0 when there is no such drop
+export function deflectionScore(scores, ratio) {
+    const sortedScores = _.orderBy(scores, _.identity, 'desc');
+
+    let previousScore = 0;
+    let deflection = 0;
+    _.forEach(sortedScores, (score) => {
+        if (previousScore && score < (ratio || DEFAULT_DEFLECTION_RATIO) * previousScore) {
+            deflection = previousScore;
+            return false;
+        }
+
+        previousScore = score;
+
+        return true;
+    });
+
+    return deflection;
+}
+
+// results are in descending order of score, so cut is made at first result that falls below ratio
+function ratioCut(results, ratio, baseScore) {
+    let previousScore = null;
+
+    const cutIndex = _.findIndex(results, (result) => {
+        const base = baseScore(previousScore, results);
+        if (base != null && (result._score * 1.0) / base <= ratio) {
+            return true;
+        }
+
+        previousScore = result._score;
+        return false;
+    });
+
+    return cutIndex < 0 ? results : _.slice(results, 0, cutIndex);
+}
+
+function buildCut(cutoff) {
+    const ratio = _.isUndefined(cutoff.ratio) ? DEFAULT_RATIOS[cutoff.strategy] : cutoff.ratio;
+
+    if (cutoff.strategy === RATIO_TO_PREVIOUS_STRATEGY) {
+        return results => ratioCut(results, ratio, previousScore => previousScore);
+    } else if (cutoff.strategy === RATIO_TO_TOP_STRATEGY) {
+        return results => ratioCut(results, ratio, (previousScore, allResults) => _.get(allResults, [0, '_score'], null));
+    } else if (cutoff.strategy === DEFLECTION_STRATEGY) {
+        return (results) => {
+            const deflection = deflectionScore(_.map(results, relevancyScore), ratio);
+            return _.filter(results, result => relevancyScore(result) >= deflection);
+        };
+    } else if (cutoff.strategy === FUNCTION_STRATEGY) {
+        return results => cutoff.fn(results);
+    }
+
+    // none, or min score which is applied by ES itself
+    return results => results;
+}
+
+// builds relevance cutoff out of its config, with:
+//      minScore - to be sent to ES as min_score, if any
+//      cut(results) - returns results that are relevant enough
+export default function buildRelevanceCutoff(cutoffConfig) {
+    const cutoff = cutoffConfig || DEFAULT_CUTOFF;
+
+    return Object.freeze({
+        strategy: cutoff.strategy,
+        minScore: cutoff.strategy === MIN_SCORE_STRATEGY ? cutoff.minScore : undefined,
+        cut: buildCut(cutoff)
+    });
+}
@@ -0,0 +1,485 @@
+import _ from 'lodash';
+import Joi from 'joi';
+import ValidationError from 'humane-node-commons/lib/ValidationError';
+import * as Constants from './Constants';
+import * as TextPreprocessor from './TextPreprocessor';
+import * as RelevanceCutoff from './RelevanceCutoff';
+import * as Fallback from './Fallback';
+import * as Geo from './Geo';
+
+const FIELD_FACET_TYPE = 'field';
+const MIN_MAX_FACET_TYPE = 'min-max';
+const RANGES_FACET_TYPE = 'ranges';
+const FILTERS_FACET_TYPE = 'filters';
+const FACET_TYPES = [FIELD_FACET_TYPE, MIN_MAX_FACET_TYPE, RANGES_FACET_TYPE, FILTERS_FACET_TYPE, Geo.GEO_DISTANCE_FACET_TYPE];
+
+const HIGHLIGHTER_TYPES = ['unified', 'plain', 'fvh'];
+
+const queryFieldSchema = Joi.object()
+  .keys({
+      field: Joi.string().required(),
+      weight: Joi.number(),
+      vernacularOnly: Joi.boolean(),
+      keyword: Joi.boolean(),
+      noFuzzy: Joi.boolean(),
+      nestedPath: Joi.string()
+  });
+
+const filterSchema = Joi.object()
+  .keys({
+      // geo filters are of a distance around a point (origin of request by default), or of a bounding box
+      type: Joi.string().valid(['post', Geo.GEO_TYPE]),
+      field: Joi.string().when('type', {is: 'post', otherwise: Joi.required()}),
+      termQuery: Joi.boolean(),
+      rangeQuery: Joi.boolean(),
+      includeMissing: Joi.boolean(),
+      supportsRangeQuery: Joi.boolean(),
+      nestedPath: Joi.string(),
+      weight: Joi.number(),
+      defaultValue: Joi.any(),
+      value: Joi.func(),
+      // post filters are evaluated against the document source
+      filter: Joi.func().when('type', {is: 'post', then: Joi.required()})
+  });
+
+const sortSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.object()
+    .keys({
+        field: Joi.string().required(),
+        // geo sort is by distance from origin of request
+        type: Joi.string().valid([Geo.GEO_TYPE]),
+        unit: Joi.string().valid(Geo.DISTANCE_UNITS),
+        sortFn: Joi.func(),
+        default: Joi.boolean()
+    })
+);
+
+const summarySchema = Joi.object()
+  .keys({
+      type: Joi.string().required(),
+      field: Joi.string().required()
+  });
+
+const facetRangeSchema = Joi.object()
+  .keys({
+      key: Joi.string().required(),
+      from: Joi.any(),
+      to: Joi.any()
+  })
+  .or('from', 'to');
+
+const facetFilterSchema = Joi.object()
+  .keys({
+      key: Joi.string().required(),
+      filter: Joi.object().required()
+  });
+
+const facetSchema = Joi.object()
+  .keys({
+      key: Joi.string().required(),
+      type: Joi.string().valid(FACET_TYPES).required(),
+      title: Joi.string(),
+      field: Joi.string().when('type', {is: Joi.valid([FIELD_FACET_TYPE, MIN_MAX_FACET_TYPE, RANGES_FACET_TYPE, Geo.GEO_DISTANCE_FACET_TYPE]), then: Joi.required()}),
+      unit: Joi.string()
+        .valid(Geo.DISTANCE_UNITS)
+        .when('type', {is: Geo.GEO_DISTANCE_FACET_TYPE, otherwise: Joi.forbidden()}),
+      nestedPath: Joi.string(),
+      includeMissing: Joi.boolean(),
+      supportsRangeQuery: Joi.boolean(),
+      ranges: Joi.array()
+        .items(facetRangeSchema)
+        .min(1)
+        .when('type', {is: Joi.valid([RANGES_FACET_TYPE, Geo.GEO_DISTANCE_FACET_TYPE]), then: Joi.required(), otherwise: Joi.forbidden()}),
+      filters: Joi.array()
+        .items(facetFilterSchema)
+        .min(1)
+        .when('type', {is: FILTERS_FACET_TYPE, then: Joi.required(), otherwise: Joi.forbidden()})
+  });
+
+const textPreprocessingStepSchema = Joi.object()
+  .keys({
+      type: Joi.string().valid(TextPreprocessor.STEP_TYPES).required(),
+      pattern: Joi.alternatives()
+        .try(Joi.string(), Joi.object().type(RegExp))
+        .when('type', {is: Joi.valid(TextPreprocessor.PATTERN_STEP_TYPES), then: Joi.required(), otherwise: Joi.forbidden()}),
+      flags: Joi.string().regex(/^[gimuy]*$/),
+      replacement: Joi.string()
+        .allow('')
+        .when('type', {is: TextPreprocessor.REPLACE_STEP, then: Joi.required(), otherwise: Joi.forbidden()}),
+      units: Joi.array()
+        .items(Joi.string())
+        .min(1)
+        .when('type', {is: TextPreprocessor.UNITS_STEP, then: Joi.required(), otherwise: Joi.forbidden()}),
+      fn: Joi.func().when('type', {is: TextPreprocessor.FUNCTION_STEP, then: Joi.required(), otherwise: Joi.forbidden()})
+  });
+
+const textPreprocessingSchema = Joi.array().items(textPreprocessingStepSchema);
+
+const relevanceCutoffSchema = Joi.object()
+  .keys({
+      strategy: Joi.string().valid(RelevanceCutoff.STRATEGIES).required(),
+      ratio: Joi.number()
+        .greater(0)
+        .less(1)
+        .when('strategy', {is: Joi.valid(RelevanceCutoff.RATIO_STRATEGIES), otherwise: Joi.forbidden()}),
+      minScore: Joi.number().when('strategy', {is: RelevanceCutoff.MIN_SCORE_STRATEGY, then: Joi.required(), otherwise: Joi.forbidden()}),
+      fn: Joi.func().when('strategy', {is: RelevanceCutoff.FUNCTION_STRATEGY, then: Joi.required(), otherwise: Joi.forbidden()})
+  });
+
+const fallbackStepSchema = Joi.object()
+  .keys({
+      type: Joi.string().valid(Fallback.STEP_TYPES).required(),
+      // filters of input that are kept, when others are dropped
+      keep: Joi.array()
+        .items(Joi.string())
+        .single()
+        .when('type', {is: Fallback.DROP_FILTERS_STEP, otherwise: Joi.forbidden()}),
+      value: Joi.alternatives()
+        .try(Joi.string(), Joi.number().integer())
+        .when('type', {is: Fallback.MINIMUM_SHOULD_MATCH_STEP, otherwise: Joi.forbidden()})
+  });
+
+const synonymRuleSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.object()
+    .keys({
+        terms: Joi.array().items(Joi.string()).min(2),
+        from: Joi.array().items(Joi.string()).single().min(1),
+        to: Joi.array().items(Joi.string()).single().min(1),
+        boost: Joi.number().min(0)
+    })
+    .xor('terms', 'from')
+    .and('from', 'to')
+);
+
+// rules of query time synonyms, see Synonyms
+export const synonymsSchema = Joi.object()
+  .keys({
+      rules: Joi.array().items(synonymRuleSchema).required(),
+      boost: Joi.number().min(0)
+  });
+
+const highlightFieldSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.object().keys({
+      field: Joi.string().required(),
+      fragmentSize: Joi.number().integer().min(0),
+      numberOfFragments: Joi.number().integer().min(0),
+      // fields whose matches are combined in highlight of field, needs fvh highlighter
+      matchedFields: Joi.array().items(Joi.string()).single()
+  })
+);
+
+const highlightSchema = Joi.object()
+  .keys({
+      fields: Joi.array()
+        .items(highlightFieldSchema)
+        .single()
+        .min(1)
+        .required(),
+      type: Joi.string().valid(HIGHLIGHTER_TYPES),
+      fragmentSize: Joi.number().integer().min(0),
+      numberOfFragments: Joi.number().integer().min(0),
+      preTags: Joi.array().items(Joi.string()).single(),
+      postTags: Joi.array().items(Joi.string()).single()
+  });
+
+const typeSettingsSchema = {
+    textPreprocessing: textPreprocessingSchema,
+    queryFields: Joi.array().items(queryFieldSchema).min(1),
+    filters: Joi.object().pattern(/.*/, filterSchema),
+    sort: Joi.alternatives().try(
+      Joi.array().items(sortSchema),
+      Joi.object()
+    ),
+    facets: Joi.array().items(facetSchema).single(),
+    summaries: Joi.object().pattern(/.*/, summarySchema),
+    sourceIncludes: Joi.array().items(Joi.string()).single(),
+    sourceExcludes: Joi.array().items(Joi.string()).single(),
+    relevanceCutoff: relevanceCutoffSchema,
+    highlight: highlightSchema,
+    synonyms: synonymsSchema,
+    // hits have _distance from origin of request, of the geo point at field
+    distance: Joi.object().keys({
+        field: Joi.string().required(),
+        unit: Joi.string().valid(Geo.DISTANCE_UNITS)
+    }),
+    // unique field, last in sort when paging with search_after, defaults to _uid (or _id, for ES without mapping types)
+    tiebreakerField: Joi.string()
+};
+
+const indexTypeSchema = Joi.object()
+  .keys(_.extend({
+      type: Joi.string(),
+      index: Joi.string(),
+      name: Joi.string()
+  }, typeSettingsSchema));
+
+const searchTypeSchema = Joi.object()
+  .keys(_.extend({
+      indexType: Joi.alternatives().try(Joi.string(), indexTypeSchema),
+      intentEntities: Joi.array().items(Joi.string()),
+      responsePostProcessor: Joi.func(),
+      // steps that relax search of the type in turn, when it has no results
+      fallbacks: Joi.array().items(fallbackStepSchema)
+  }, typeSettingsSchema));
+
+const searchApiSchema = {
+    defaultType: Joi.string(),
+    flat: Joi.boolean(),
+    multiResponsePostProcessor: Joi.func(),
+    relevanceCutoff: relevanceCutoffSchema,
+    // cursor pages are read within a point in time of ES, kept alive as long between pages
+    pointInTime: Joi.object().keys({keepAlive: Joi.string()}),
+    types: Joi.object().pattern(/.*/, searchTypeSchema)
+};
+
+const sectionSchema = Joi.object()
+  .keys({
+      title: Joi.string(),
+      types: Joi.array()
+        .items(Joi.string())
+        .single()
+        .min(1)
+        .required(),
+      resultType: Joi.string(),
+      count: Joi.number().integer().min(1),
+      sort: Joi.object().keys({
+          field: Joi.string().required(),
+          order: Joi.string().valid(Constants.VALID_SORT_ORDERS)
+      }),
+      filter: Joi.object(),
+      // sorts results of the section, as in: results => _.sortBy(results, ...)
+      sorter: Joi.func()
+  });
+
+const intentProbeSchema = Joi.object()
+  .keys({
+      type: Joi.string().required(),
+      field: Joi.string().required()
+  });
+
+// a section is made of: results of a probe, a configured section, or an intent suggestion query on type field
+const intentSectionSchema = Joi.object()
+  .keys({
+      name: Joi.string().required(),
+      title: Joi.string(),
+      resultType: Joi.string(),
+      sorter: Joi.func(),
+      probe: Joi.string(),
+      section: Joi.string(),
+      type: Joi.string(),
+      field: Joi.string().when('type', {is: Joi.exist(), then: Joi.required(), otherwise: Joi.forbidden()})
+  })
+  .xor('probe', 'section', 'type');
+
+const intentRuleSchema = Joi.object()
+  .keys({
+      probe: Joi.string().required(),
+      hits: Joi.alternatives()
+        .try(Joi.string().valid(Constants.VALID_INTENT_RULE_HITS), Joi.number().integer().min(0))
+        .required(),
+      sections: Joi.array()
+        .items(intentSectionSchema)
+        .min(1)
+        .required()
+  });
+
+const intentRouteSchema = Joi.object()
+  .keys({
+      intentClass: Joi.string().required(),
+      probes: Joi.object()
+        .pattern(/.*/, intentProbeSchema)
+        .required(),
+      rules: Joi.array()
+        .items(intentRuleSchema)
+        .min(1)
+        .required()
+  });
+
+// corrections of text in search response, when it has no more results than maxResults (0 by default)
+const didYouMeanSchema = Joi.object()
+  .keys({
+      maxResults: Joi.number().integer().min(0),
+      count: Joi.number().integer().min(1)
+  });
+
+const searchConfigSchema = Joi.object()
+  .keys({
+      indices: Joi.object().pattern(/.*/, Joi.object().keys({store: Joi.string().required()}).unknown(true)),
+      types: Joi.object().pattern(/.*/, indexTypeSchema),
+      defaultSortOrder: Joi.string().valid(Constants.VALID_SORT_ORDERS),
+      textPreprocessing: textPreprocessingSchema,
+      synonyms: synonymsSchema,
+      lookupIntentEntities: Joi.object().pattern(/.*/, Joi.object().unknown(true)),
+      eventHandlers: Joi.object().pattern(/.*/, Joi.alternatives().try(Joi.func(), Joi.array().items(Joi.func()))),
+      autocomplete: Joi.object().keys(searchApiSchema),
+      search: Joi.object().keys(_.extend({
+          sections: Joi.object().pattern(/.*/, sectionSchema),
+          intentRouting: Joi.array().items(intentRouteSchema),
+          didYouMean: didYouMeanSchema
+      }, searchApiSchema)),
+      views: Joi.object().keys({types: Joi.object().pattern(/.*/, searchTypeSchema)})
+  })
+  .unknown(true)
+  .required();
+
+// types that are always added by searcher, and hence can be referred by api types
+const BUILT_IN_TYPES = ['searchQuery'];
+
+// checks that intent route refers to defined probes, sections and search types
+function intentRouteErrors(searchApiConfig, intentRoute, path) {
+    const errors = [];
+    if (!intentRoute) {
+        return errors;
+    }
+
+    const searchTypes = _.keys(searchApiConfig.types);
+    const probeNames = _.keys(intentRoute.probes);
+    const sectionNames = _.keys(searchApiConfig.sections);
+
+    const checkReference = (value, validValues, valuePath) => {
+        if (value && !_.includes(validValues, value)) {
+            errors.push({path: valuePath, message: `"${value}" must be one of [${validValues.join(', ')}]`, type: 'reference.type'});
+        }
+    };
+
+    _.forEach(intentRoute.probes, (probe, probeName) => {
+        checkReference(probe && probe.type, searchTypes, `${path}.probes.${probeName}.type`);
+    });
+
+    _.forEach(intentRoute.rules, (rule, ruleIndex) => {
+        if (!rule) {
+            return;
+        }
+
+        checkReference(rule.probe, probeNames, `${path}.rules.${ruleIndex}.probe`);
+
+        _.forEach(rule.sections, (section, sectionIndex) => {
+            const sectionPath = `${path}.rules.${ruleIndex}.sections.${sectionIndex}`;
+            if (section) {
+                checkReference(section.probe, probeNames, `${sectionPath}.probe`);
+                checkReference(section.section, sectionNames, `${sectionPath}.section`);
+                checkReference(section.type, searchTypes, `${sectionPath}.type`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+// checks that all api types refer to a valid index type, and sections to a valid search type, which Joi can not do
+function referenceErrors(searchConfig) {
+    let errors = [];
+    const validTypes = _.union(BUILT_IN_TYPES, _.keys(searchConfig.types));
+
+    _.forEach(['autocomplete', 'search', 'views'], (api) => {
+        const apiConfig = searchConfig[api];
+        if (!apiConfig) {
+            return;
+        }
+
+        if (apiConfig.defaultType && apiConfig.defaultType !== '*' && !_.has(apiConfig.types, apiConfig.defaultType)) {
+            errors.push({
+                path: `${api}.defaultType`,
+                message: `"defaultType" must be one of [${_.keys(apiConfig.types).join(', ')}, *]`,
+                type: 'reference.type'
+            });
+        }
+
+        _.forEach(apiConfig.types, (typeConfig, key) => {
+            const indexType = typeConfig && typeConfig.indexType;
+            if (_.isString(indexType) && !_.includes(validTypes, indexType)) {
+                errors.push({
+                    path: `${api}.types.${key}.indexType`,
+                    message: `"indexType" must be one of [${validTypes.join(', ')}]`,
+                    type: 'reference.type'
+                });
+            } else if (!indexType && !_.includes(validTypes, key)) {
+                errors.push({
+                    path: `${api}.types.${key}`,
+                    message: `"${key}" is not a defined type, define it in types or set "indexType"`,
+                    type: 'reference.type'
+                });
+            }
+        });
+    });
+
+    _.forEach(_.get(searchConfig, ['search', 'sections']), (sectionConfig, name) => {
+        _.forEach(_.castArray((sectionConfig && sectionConfig.types) || []), (type, index) => {
+            if (!_.has(searchConfig.search.types, type)) {
+                errors.push({
+                    path: `search.sections.${name}.types.${index}`,
+                    message: `"${type}" must be one of [${_.keys(searchConfig.search.types).join(', ')}]`,
+                    type: 'reference.type'
+                });
+            }
+        });
+    });
+
+    _.forEach(_.get(searchConfig, ['search', 'intentRouting']), (intentRoute, routeIndex) => {
+        errors = _.concat(errors, intentRouteErrors(searchConfig.search, intentRoute, `search.intentRouting.${routeIndex}`));
+    });
+
+    return errors;
+}
+
+function patternErrors(steps, path) {
+    const errors = [];
+
+    _.forEach(steps, (step, index) => {
+        if (step && _.isString(step.pattern)) {
+            try {
+                TextPreprocessor.buildRegExp(step.pattern, step.flags);
+            } catch (error) {
+                errors.push({path: `${path}.${index}.pattern`, message: error.message, type: 'pattern.invalid'});
+            }
+        }
+    });
+
+    return errors;
+}
+
+// checks that text preprocessing patterns compile
+function textPreprocessingErrors(searchConfig) {
+    let errors = patternErrors(searchConfig.textPreprocessing, 'textPreprocessing');
+
+    _.forEach(searchConfig.types, (typeConfig, key) => {
+        errors = _.concat(errors, patternErrors(typeConfig && typeConfig.textPreprocessing, `types.${key}.textPreprocessing`));
+    });
+
+    _.forEach(['autocomplete', 'search', 'views'], (api) => {
+        _.forEach(_.get(searchConfig, [api, 'types']), (typeConfig, key) => {
+            errors = _.concat(errors, patternErrors(typeConfig && typeConfig.textPreprocessing, `${api}.types.${key}.textPreprocessing`));
+        });
+    });
+
+    return errors;
+}
+
+// validates search config, and returns all errors found with their config path
+export function searchConfigErrors(searchConfig) {
+    const validationResult = Joi.validate(searchConfig, searchConfigSchema, {abortEarly: false});
+
+    let errors = [];
+    if (validationResult.error) {
+        errors = _.map(validationResult.error.details, detail => _.pick(detail, ['path', 'message', 'type']));
+    }
+
+    if (searchConfig) {
+        errors = _.concat(errors, referenceErrors(searchConfig), textPreprocessingErrors(searchConfig));
+    }
+
+    return errors;
+}
+
+// throws validation error listing every problem in search config
+export default function validateSearchConfig(searchConfig) {
+    const errors = searchConfigErrors(searchConfig);
+    if (!_.isEmpty(errors)) {
+        throw new ValidationError('Invalid search config', {details: {code: 'INVALID_SEARCH_CONFIG', errors}});
+    }
+
+    return searchConfig;
+}
@@ -2,7 +2,10 @@
 import _ from 'lodash';
 import Joi from 'joi';
 import Promise from 'bluebird';
+import crypto from 'crypto';
 import {EventEmitter} from 'events';
+import {Readable} from 'stream';
+import performanceNow from 'performance-now';
 import qs from 'qs';
 import LanguageDetector from 'humane-node-commons/lib/LanguageDetector';
 import ValidationError from 'humane-node-commons/lib/ValidationError';
@@ -10,6 +13,28 @@ import InternalServiceError from 'humane-node-commons/lib/InternalServiceError';
 import ESClient from './ESClient';
 import * as Constants from './Constants';
 import buildApiSchema from './ApiSchemaBuilder';
+import validateSearchConfig from './SearchConfigSchema';
+import buildTextPreprocessor from './TextPreprocessor';
+import buildRelevanceCutoff, {relevancyScore, deflectionScore} from './RelevanceCutoff';
+import {CLOSED_STATE} from './CircuitBreaker';
+import Logger, {REQUEST_ID_HEADER, withRequestId} from './Logger';
+import Metrics, {SIZE_BUCKETS} from './Metrics';
+import {cursorScope, encodeCursor, decodeCursor} from './Cursor';
+import relaxInput, {SPELLING_STEP} from './Fallback';
+import buildSynonyms from './Synonyms';
+import {GEO_TYPE, GEO_DISTANCE_FACET_TYPE, DEFAULT_DISTANCE_UNIT, geoDistance, geoPoint} from './Geo';
+
+// documents of a view are read from ES in pages of this size
+const VIEW_PAGE_SIZE = 500;
+
+// suggestions of did you mean in search response, when not configured
+const DEFAULT_DID_YOU_MEAN_COUNT = 3;
+
+// point in time of cursor pages is kept alive as long between pages, when not configured
+const DEFAULT_POINT_IN_TIME_KEEP_ALIVE = '1m';
+
+// share of responses whose size is measured, when not configured
+const DEFAULT_RESPONSE_SIZE_SAMPLE_RATE = 0.01;
 // import SearchEventHandler from './SearchEventHandler';
 
 const langFilter = {
@@ -24,11 +49,207 @@ const langFilter = {
     }
 };
 
+// freezes plan parts built by searcher, objects shared with user config must not be passed here
+function deepFreeze(object) {
+    if (_.isObject(object) && !Object.isFrozen(object)) {
+        Object.freeze(object);
+        _.forEach(object, value => deepFreeze(value));
+    }
+
+    return object;
+}
+
+// fields asked for in request, as array or comma separated
+function requestFields(input) {
+    if (!input || _.isEmpty(input.fields)) {
+        return undefined;
+    }
+
+    return _(input.fields)
+      .castArray()
+      .flatMap(fields => _.split(fields, ','))
+      .map(_.trim)
+      .compact()
+      .uniq()
+      .value();
+}
+
+// field is allowed by includes when it is one of them, is under one of them, or matches one of them as a wildcard pattern
+function isIncluded(field, includes) {
+    return _.some(includes, include => field === include
+      || _.startsWith(field, `${include}.`)
+      || (_.includes(include, '*') && new RegExp(`^${_.escapeRegExp(include).replace(/\\\*/g, '.*')}$`).test(field)));
+}
+
+// request fields are kept only when includes of every type that has them allow them, so that a request cannot fetch
+// fields that a type leaves out
+function allowedFields(fields, includesOfTypes) {
+    const allowed = _.filter(fields, field => _.every(includesOfTypes, includes => isIncluded(field, includes)));
+    return _.isEmpty(allowed) ? undefined : allowed;
+}
+
+// streams pages of reader as NDJSON, a page is read only when previous one has been consumed
+function ndjsonStream(reader) {
+    let totalResults = 0;
+
+    return new Readable({
+        read() {
+            const pushNext = () => reader.next()
+              .then((docs) => {
+                  if (!docs) {
+                      this.push(`${JSON.stringify({totalResults, cursor: reader.cursor()})}\n`);
+                      this.push(null);
+                      return null;
+                  }
+
+                  // all documents of page may have been filtered out
+                  if (_.isEmpty(docs)) {
+                      return pushNext();
+                  }
+
+                  totalResults += docs.length;
+                  this.push(_.map(docs, doc => `${JSON.stringify(doc)}\n`).join(''));
+
+                  return null;
+              });
+
+            pushNext()
+              .catch(error => this.emit('error', error));
+        }
+    });
+}
+
+// corrects each word of text to its most frequent correction by term suggester, score of correction is frequency of
+// the rarest corrected word. returns null when no word has a correction.
+function termCorrection(text, entries) {
+    const corrections = _(entries)
+      .filter(entry => !_.isEmpty(entry.options))
+      .map(entry => _.extend(_.pick(entry, ['offset', 'length']), _.maxBy(entry.options, 'freq')))
+      .sortBy(correction => -correction.offset)
+      .value();
+
+    if (_.isEmpty(corrections)) {
+        return null;
+    }
+
+    const correctedText = _.reduce(corrections,
+      (result, correction) => `${result.slice(0, correction.offset)}${correction.text}${result.slice(correction.offset + correction.length)}`, text);
+
+    return {text: correctedText, score: _.min(_.map(corrections, 'freq'))};
+}
+
+// suggestions of phrase suggester are ranked by their score, which comes of frequency of words in index. corrections of
+// term suggester are suggested only when phrase suggester has none.
+function spellingSuggestions(responses, text, count) {
+    const phraseSuggestions = [];
+    const termSuggestions = [];
+
+    _.forEach(responses, ({response, fields, text: requestText}) => {
+        _.forEach(fields, (field) => {
+            _.forEach(_.get(response, ['suggest', `phrase_${field}`]), (entry) => {
+                _.forEach(entry.options, option => phraseSuggestions.push(_.pick(option, ['text', 'score'])));
+            });
+
+            const correction = termCorrection(requestText, _.get(response, ['suggest', `term_${field}`]));
+            if (correction) {
+                termSuggestions.push(correction);
+            }
+        });
+    });
+
+    return _(_.isEmpty(phraseSuggestions) ? termSuggestions : phraseSuggestions)
+      .reject(suggestion => _.toLower(suggestion.text) === _.toLower(text))
+      .orderBy(['score'], ['desc'])
+      .uniqBy(suggestion => _.toLower(suggestion.text))
+      .take(count)
+      .value();
+}
+
+function invalidGeoFilter(key, message) {
+    return new ValidationError(`${message} for geo filter: ${key}`, {details: {code: 'INVALID_GEO_FILTER', filter: key}});
+}
+
+// geo filter value is a distance (around origin of request), {distance, point} or {box: {topLeft, bottomRight}}, and is
+// returned with its points parsed. returns null when there is no point to filter around, and throws validation error
+// when value is malformed.
+function geoFilterValue(key, value, origin) {
+    const geoValue = _.isPlainObject(value) ? value : {distance: value};
+
+    if (geoValue.box) {
+        const topLeft = geoPoint(geoValue.box.topLeft);
+        const bottomRight = geoPoint(geoValue.box.bottomRight);
+        if (!topLeft || !bottomRight) {
+            throw invalidGeoFilter(key, 'Box needs topLeft and bottomRight points');
+        }
+
+        return {box: {topLeft, bottomRight}};
+    }
+
+    if (!_.isFinite(geoValue.distance) && (!_.isString(geoValue.distance) || _.isEmpty(_.trim(geoValue.distance)))) {
+        throw invalidGeoFilter(key, 'Distance is needed');
+    }
+
+    if (!_.isUndefined(geoValue.point) && !geoPoint(geoValue.point)) {
+        throw invalidGeoFilter(key, 'Point is invalid');
+    }
+
+    const point = geoPoint(_.isUndefined(geoValue.point) ? origin : geoValue.point);
+    if (!point) {
+        return null;
+    }
+
+    return {distance: geoValue.distance, point};
+}
+
+// fallbacks of a type apply to first page of its search, when it has no results
+function fallbackSteps(input, searchApiConfig, response) {
+    if (!input.type || input.type === '*' || _.isArray(input.type) || input.cursor || input.page || _.get(response, 'totalResults', 0) > 0) {
+        return null;
+    }
+
+    return _.get(searchApiConfig, ['types', input.type, 'fallbacks']);
+}
+
+// distance of a result is measured from its point, which is hence fetched whenever request has an origin, even when
+// includes or excludes of source would leave it out
+function withDistanceFields(source, distanceConfigs, input) {
+    const fields = _(distanceConfigs)
+      .compact()
+      .map('field')
+      .uniq()
+      .value();
+    if (!source || !input || !input.origin || _.isEmpty(fields)) {
+        return source;
+    }
+
+    return _.omitBy({
+        includes: source.includes && _.union(source.includes, fields),
+        excludes: source.excludes && _.difference(source.excludes, fields)
+    }, _.isUndefined);
+}
+
+// score cutoffs make sense only when results are in order of relevance
+function isRelevanceSort(input) {
+    return !input || !input.sort || !input.sort.field || input.sort.field === Constants.SCORE_SORT_FIELD;
+}
+
 class SearcherInternal {
     constructor(config) {
         this.logLevel = config.logLevel || 'info';
+        this.logger = config.logger || new Logger(this.logLevel);
+        this.metrics = new Metrics();
         this.instanceName = config.instanceName;
 
+        // size of response is measured by serializing it, which is costly for large responses, hence only for a sample
+        this.responseSizeSampleRate = _.isNumber(config.responseSizeSampleRate) ? config.responseSizeSampleRate : DEFAULT_RESPONSE_SIZE_SAMPLE_RATE;
+
+        // reload of synonyms changes config of this process alone, and is not authenticated by searcher, so its route is
+        // registered only when asked for
+        this.synonymsReloadApi = config.synonymsReloadApi === true;
+
+        // cursors are signed with this secret, a random one holds only for this process
+        this.cursorSecret = config.cursorSecret || crypto.randomBytes(32).toString('hex');
+
         const DefaultTypes = {
             searchQuery: {
                 type: 'searchQuery',
@@ -87,13 +308,14 @@ class SearcherInternal {
         //     search: data => new SearchEventHandler(this.instanceName).handle(data)
         // };
 
+        // refuse to start with broken config, rather than failing at query time
+        validateSearchConfig(config.searchConfig);
+
         const indices = config.searchConfig.indices || {};
 
         _.forEach(DefaultTypes, (type, key) => this.enhanceType(indices, key, type));
         _.forEach(config.searchConfig.types, (type, key) => this.enhanceType(indices, key, type));
 
-        // TODO: compile config, so searcher logic has lesser checks
-        // this.searchConfig = SearcherInternal.validateSearchConfig(config.searchConfig);
         this.searchConfig = _.defaultsDeep(config.searchConfig, {
             types: DefaultTypes,
             autocomplete: DefaultAutocomplete,
@@ -105,13 +327,29 @@ class SearcherInternal {
         this.enhanceSearchTypes(_.get(this.searchConfig, ['search', 'types']), this.searchConfig);
         this.enhanceSearchTypes(_.get(this.searchConfig, ['views', 'types']), this.searchConfig);
 
+        this.queryPlans = new Map();
+
+        // synonyms are kept out of query plans, as they are reloaded at runtime
+        this.typeSynonyms = new Map();
+
+        this.apiRelevanceCutoffs = new Map();
+        this.defaultRelevanceCutoff = buildRelevanceCutoff();
+        this.compileSearchTypes(this.searchConfig.autocomplete);
+        this.compileSearchTypes(this.searchConfig.search);
+        this.compileSearchTypes(this.searchConfig.views);
+
+        this.textPreprocessor = buildTextPreprocessor(this.searchConfig.textPreprocessing);
+
         this.apiSchema = buildApiSchema(config.searchConfig);
-        this.esClient = new ESClient(_.pick(config, ['logLevel', 'esConfig', 'redisConfig', 'redisSentinelConfig']));
+        const esClientConfig = _.pick(config, ['logLevel', 'slowQueryThreshold', 'esConfig', 'redisConfig', 'redisSentinelConfig', 'redisClient', 'cacheConfig']);
+        this.esClient = new ESClient(_.extend({logger: this.logger, metrics: this.metrics}, esClientConfig));
         this.transliterator = config.transliterator;
         this.languageDetector = new LanguageDetector();
 
         this.eventEmitter = new EventEmitter();
 
+        this.registerMetrics();
+
         // this.registerEventHandlers(DefaultEventHandlers);
         // this.registerEventHandlers(config.searchConfig.eventHandlers);
     }
@@ -171,6 +409,241 @@ class SearcherInternal {
         }
     }
 
+    compileSearchTypes(apiConfig) {
+        if (!apiConfig) {
+            return;
+        }
+
+        this.apiRelevanceCutoffs.set(apiConfig.types, buildRelevanceCutoff(apiConfig.relevanceCutoff));
+        _.forEach(apiConfig.types, type => this.queryPlans.set(type, this.compileQueryPlan(type, apiConfig)));
+    }
+
+    queryPlan(searchTypeConfig) {
+        let plan = this.queryPlans.get(searchTypeConfig);
+        if (!plan) {
+            plan = this.compileQueryPlan(searchTypeConfig);
+            this.queryPlans.set(searchTypeConfig, plan);
+        }
+
+        return plan;
+    }
+
+    // compiles search type config into an immutable plan, so that a request has to only fill in text and filters
+    compileQueryPlan(searchTypeConfig, apiConfig) {
+        const indexTypeConfig = searchTypeConfig.indexType || {};
+
+        let facetConfigs = searchTypeConfig.facets || indexTypeConfig.facets;
+        if (facetConfigs && !_.isArray(facetConfigs)) {
+            facetConfigs = [facetConfigs];
+        }
+
+        let aggregations = this.buildAggregations(searchTypeConfig);
+        if (aggregations && _.isEmpty(aggregations)) {
+            aggregations = undefined;
+        }
+
+        return Object.freeze({
+            index: indexTypeConfig.index,
+            type: indexTypeConfig.type,
+            queryTemplate: deepFreeze(this.compileQueryTemplate(searchTypeConfig.queryFields || indexTypeConfig.queryFields)),
+            filters: this.compileFilters(searchTypeConfig.filters || indexTypeConfig.filters),
+            facetFilters: facetConfigs && deepFreeze(_.map(facetConfigs, facetConfig => this.compileFacetFilter(facetConfig))),
+            sort: deepFreeze(_.cloneDeep(this.compileSort(searchTypeConfig.sort || indexTypeConfig.sort))),
+            aggregations: (aggregations && deepFreeze(_.cloneDeep(aggregations))) || undefined,
+            facets: searchTypeConfig.facets && Object.freeze(_.castArray(searchTypeConfig.facets)),
+            // aggregations of geo facets are around origin of request, and hence are built per request
+            geoFacets: searchTypeConfig.facets && Object.freeze(_.filter(_.castArray(searchTypeConfig.facets), {type: GEO_DISTANCE_FACET_TYPE})),
+            summaryKeys: searchTypeConfig.summaries && Object.freeze(_.keys(searchTypeConfig.summaries)),
+            textPreprocessor: buildTextPreprocessor(searchTypeConfig.textPreprocessing || indexTypeConfig.textPreprocessing),
+            source: this.compileSource(
+              searchTypeConfig.sourceIncludes || indexTypeConfig.sourceIncludes,
+              searchTypeConfig.sourceExcludes || indexTypeConfig.sourceExcludes
+            ),
+            distance: searchTypeConfig.distance || indexTypeConfig.distance,
+            relevanceCutoff: buildRelevanceCutoff(searchTypeConfig.relevanceCutoff || indexTypeConfig.relevanceCutoff || (apiConfig && apiConfig.relevanceCutoff)),
+            // autocomplete suggestions are short, so they are highlighted whole, rather than in fragments
+            highlight: this.compileHighlight(searchTypeConfig.highlight || indexTypeConfig.highlight, apiConfig && apiConfig === this.searchConfig.autocomplete ? 0 : undefined)
+        });
+    }
+
+    // builds highlight of ES request, with fields keyed as configured. humane query matches on sub fields of a query field,
+    // so highlight of a field is not limited to matches on the field itself.
+    // eslint-disable-next-line class-methods-use-this
+    compileHighlight(highlightConfig, defaultNumberOfFragments) {
+        if (!highlightConfig) {
+            return undefined;
+        }
+
+        const fields = _(highlightConfig.fields)
+          .castArray()
+          .map(fieldConfig => (_.isString(fieldConfig) ? {field: fieldConfig} : fieldConfig))
+          .keyBy('field')
+          .mapValues(fieldConfig => _.omitBy({
+              fragment_size: fieldConfig.fragmentSize,
+              number_of_fragments: fieldConfig.numberOfFragments,
+              matched_fields: fieldConfig.matchedFields && _.castArray(fieldConfig.matchedFields)
+          }, _.isUndefined))
+          .value();
+
+        return deepFreeze(_.omitBy({
+            type: highlightConfig.type,
+            pre_tags: highlightConfig.preTags && _.castArray(highlightConfig.preTags),
+            post_tags: highlightConfig.postTags && _.castArray(highlightConfig.postTags),
+            fragment_size: highlightConfig.fragmentSize,
+            number_of_fragments: _.isUndefined(highlightConfig.numberOfFragments) ? defaultNumberOfFragments : highlightConfig.numberOfFragments,
+            require_field_match: false,
+            fields
+        }, _.isUndefined));
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    compileSource(includes, excludes) {
+        if (_.isEmpty(includes) && _.isEmpty(excludes)) {
+            return undefined;
+        }
+
+        return deepFreeze({
+            includes: (!_.isEmpty(includes) && _.castArray(includes).slice()) || undefined,
+            excludes: (!_.isEmpty(excludes) && _.castArray(excludes).slice()) || undefined
+        });
+    }
+
+    compileQueryTemplate(queryFieldConfigs) {
+        const queryFields = _.filter(queryFieldConfigs, queryField => !queryField.vernacularOnly);
+
+        if (queryFields.length === 1) {
+            const queryField = queryFields[0];
+
+            const fieldTemplate = fuzzySearch => ({
+                boost: queryField.weight,
+                vernacularOnly: queryField.vernacularOnly,
+                noFuzzy: !fuzzySearch || queryField.noFuzzy,
+                keyword: queryField.keyword,
+                instance: this.instanceName
+            });
+
+            return {
+                singleField: _.pick(queryField, ['field', 'weight', 'nestedPath']),
+                fuzzyFields: [fieldTemplate(true)],
+                noFuzzyFields: [fieldTemplate(false)]
+            };
+        }
+
+        const fieldTemplates = fuzzySearch => _.map(queryFields, queryField => ({
+            field: queryField.field,
+            boost: queryField.weight,
+            vernacularOnly: queryField.vernacularOnly,
+            keyword: queryField.keyword,
+            path: queryField.nestedPath,
+            noFuzzy: !fuzzySearch || queryField.noFuzzy
+        }));
+
+        return {
+            fuzzyFields: fieldTemplates(true),
+            noFuzzyFields: fieldTemplates(false)
+        };
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    compileFilters(filterConfigs) {
+        if (!filterConfigs) {
+            return null;
+        }
+
+        const filters = [];
+        const postFilters = [];
+
+        // filter configs are shared with user config, hence these are frozen only shallow
+        _.forEach(filterConfigs, (filterConfig, key) => {
+            if (filterConfig.type && filterConfig.type === 'post') {
+                postFilters.push(Object.freeze({key, config: filterConfig}));
+            } else {
+                filters.push(Object.freeze({
+                    key,
+                    config: filterConfig,
+                    fieldConfig: Object.freeze(_.defaults({filter: true, rangeQuery: false, termQuery: filterConfig.termQuery}, filterConfig)),
+                    rangeFieldConfig: Object.freeze(_.defaults({filter: true, rangeQuery: true, termQuery: false}, filterConfig))
+                }));
+            }
+        });
+
+        return Object.freeze({
+            filters: Object.freeze(filters),
+            postFilters: Object.freeze(postFilters),
+            langFieldConfig: Object.freeze(_.extend({filter: true}, filterConfigs.lang))
+        });
+    }
+
+    compileFacetFilter(facetConfig) {
+        const fieldConfig = {
+            filter: true,
+            field: facetConfig.field,
+            nestedPath: facetConfig.nestedPath,
+            includeMissing: facetConfig.includeMissing,
+            supportsRangeQuery: facetConfig.supportsRangeQuery
+        };
+
+        const facetFilter = {
+            key: facetConfig.key,
+            type: facetConfig.type,
+            fieldConfig: _.defaults({termQuery: true, rangeQuery: false}, fieldConfig),
+            rangeFieldConfig: _.defaults({termQuery: false, rangeQuery: true}, fieldConfig)
+        };
+
+        if (facetConfig.type === 'filters') {
+            facetFilter.bucketQueries = _(facetConfig.filters)
+              .keyBy('key')
+              .mapValues(filterFacetConfig => _.cloneDeep(filterFacetConfig.filter))
+              .value();
+        } else if (facetConfig.type === 'ranges') {
+            // TODO: support nested too
+            facetFilter.bucketQueries = _(facetConfig.ranges)
+              .keyBy('key')
+              .mapValues(filterRangeConfig => ({
+                  range: {
+                      [facetConfig.field]: {
+                          gte: filterRangeConfig.from,
+                          lt: filterRangeConfig.to
+                      }
+                  }
+              }))
+              .value();
+
+            if (facetConfig.includeMissing) {
+                facetFilter.missingQuery = this.missingQuery(facetConfig.field);
+            }
+        } else if (facetConfig.type === GEO_DISTANCE_FACET_TYPE) {
+            facetFilter.unit = facetConfig.unit;
+            facetFilter.ranges = _.keyBy(facetConfig.ranges, 'key');
+        }
+
+        return facetFilter;
+    }
+
+    // sort functions are expected to depend only on sort order, and hence are resolved here for both orders
+    compileSort(sortConfigs) {
+        if (!sortConfigs || !_.isArray(sortConfigs)) {
+            return null;
+        }
+
+        const fields = {};
+
+        _.forEach(sortConfigs, (config) => {
+            const field = _.isString(config) ? config : config.field;
+            if (!fields[field]) {
+                fields[field] = {
+                    asc: this.buildSort(config, Constants.ASC_SORT_ORDER),
+                    desc: this.buildSort(config, Constants.DESC_SORT_ORDER)
+                };
+            }
+        });
+
+        return {
+            fields,
+            defaultSort: this.buildDefaultSort(sortConfigs)
+        };
+    }
+
     registerEventHandlers(eventHandlers) {
         if (!eventHandlers) {
             return;
@@ -185,12 +658,6 @@ class SearcherInternal {
         });
     }
 
-    // TODO: validate it through Joi
-    // TODO: provide command line tool to validate config
-    // validateSearchConfig(searchConfig) {
-    //     return searchConfig;
-    // }
-
     // eslint-disable-next-line class-methods-use-this
     validateInput(input, schema) {
         if (!input) {
@@ -297,6 +764,44 @@ class SearcherInternal {
         };
     }
 
+    // eslint-disable-next-line class-methods-use-this
+    geoDistanceQuery(field, point, distance) {
+        return {
+            geo_distance: {
+                distance,
+                [field]: point
+            }
+        };
+    }
+
+    // geo filter value is of a distance around a point, or of a bounding box
+    geoQuery(fieldConfig, geoValue) {
+        if (geoValue.box) {
+            return {
+                geo_bounding_box: {
+                    [fieldConfig.field]: {
+                        top_left: geoValue.box.topLeft,
+                        bottom_right: geoValue.box.bottomRight
+                    }
+                }
+            };
+        }
+
+        return this.geoDistanceQuery(fieldConfig.field, geoValue.point, geoValue.distance);
+    }
+
+    // query of a ring of geo facet, that is of distances from (inclusive) till (exclusive) to
+    geoRingQuery(facetFilter, range, origin) {
+        const unit = facetFilter.unit || DEFAULT_DISTANCE_UNIT;
+
+        return {
+            bool: _.omitBy({
+                filter: _.isNil(range.to) ? undefined : this.geoDistanceQuery(facetFilter.fieldConfig.field, origin, `${range.to}${unit}`),
+                must_not: _.isNil(range.from) || range.from <= 0 ? undefined : this.geoDistanceQuery(facetFilter.fieldConfig.field, origin, `${range.from}${unit}`)
+            }, _.isUndefined)
+        };
+    }
+
     // eslint-disable-next-line class-methods-use-this
     existsQuery(field) {
         return {
@@ -313,7 +818,9 @@ class SearcherInternal {
     buildFieldQuery(fieldConfig, valueOrArrayOfValue, queries, intentFields) {
         let query = null;
 
-        if (fieldConfig.filter && fieldConfig.rangeQuery) {
+        if (fieldConfig.filter && fieldConfig.type === GEO_TYPE) {
+            query = this.geoQuery(fieldConfig, valueOrArrayOfValue);
+        } else if (fieldConfig.filter && fieldConfig.rangeQuery) {
             if (!_.isArray(valueOrArrayOfValue)) {
                 valueOrArrayOfValue = [valueOrArrayOfValue];
             }
@@ -371,7 +878,8 @@ class SearcherInternal {
         return typeConfig;
     }
 
-    buildTypeQuery(searchTypeConfig, text, fuzzySearch, intentFields) {
+    // with minimum should match, each word of text is queried on its own, and as many of the words must match
+    buildTypeQuery(searchTypeConfig, text, fuzzySearch, intentFields, minimumShouldMatch) {
         if (!text || _.isEmpty(text)) {
             return {};
         }
@@ -397,78 +905,132 @@ class SearcherInternal {
         //     language: languages && _.map(languages, lang => lang.code)
         // };
 
-        const indexTypeConfig = searchTypeConfig.indexType;
-        const queryFields = _(searchTypeConfig.queryFields || indexTypeConfig.queryFields).filter(queryField => !queryField.vernacularOnly).value();
+        const queryTemplate = this.queryPlan(searchTypeConfig).queryTemplate;
+        const fieldTemplates = fuzzySearch ? queryTemplate.fuzzyFields : queryTemplate.noFuzzyFields;
 
-        if (!queryFields) {
-            throw new ValidationError('No query fields defined', {details: {code: 'NO_QUERY_FIELDS_DEFINED'}});
-        } else if (queryFields.length === 1) {
-            const queryField = queryFields[0];
+        const query = this.matchQuery(queryTemplate, fieldTemplates, text, intentFields, minimumShouldMatch);
+
+        // text with synonyms matches as well, but with lower boost, and only the best of the matches counts
+        const synonyms = this.synonyms(searchTypeConfig);
+        const expansions = synonyms && synonyms.expand(text);
+        if (_.isEmpty(expansions)) {
+            return {query};
+        }
+
+        const expansionQueries = _.map(expansions, expansion => ({
+            bool: {
+                must: this.matchQuery(queryTemplate, fieldTemplates, expansion.text, intentFields, minimumShouldMatch),
+                boost: expansion.boost
+            }
+        }));
+
+        return {query: {dis_max: {queries: _.concat([query], expansionQueries)}}};
+    }
 
+    matchQuery(queryTemplate, fieldTemplates, text, intentFields, minimumShouldMatch) {
+        const words = minimumShouldMatch ? _.words(text, /\S+/g) : [];
+        if (words.length > 1) {
             return {
-                query: this.wrapQuery(queryField, {
-                    humane_query: {
-                        [queryField.field]: {
-                            query: text,
-                            boost: queryField.weight,
-                            vernacularOnly: queryField.vernacularOnly,
-                            noFuzzy: !fuzzySearch || queryField.noFuzzy,
-                            keyword: queryField.keyword,
-                            instance: this.instanceName, // new
-                            // intentIndex: `${_.toLower(this.instanceName)}:intent_store`, // old
-                            intentFields
-                        }
-                    }
-                })
+                bool: {
+                    should: _.map(words, word => this.textQuery(queryTemplate, fieldTemplates, word, intentFields)),
+                    minimum_should_match: minimumShouldMatch
+                }
             };
         }
-        return {
-            query: {
-                multi_humane_query: {
-                    query: text,
-                    instance: this.instanceName, // new
-                    // intentIndex: `${_.toLower(this.instanceName)}:intent_store`, // old
-                    intentFields,
-                    fields: _(queryFields)
-                      .map(queryField => ({
-                          field: queryField.field,
-                          boost: queryField.weight,
-                          vernacularOnly: queryField.vernacularOnly,
-                          keyword: queryField.keyword,
-                          path: queryField.nestedPath,
-                          noFuzzy: !fuzzySearch || queryField.noFuzzy
-                      }))
-                      .value()
 
+        return this.textQuery(queryTemplate, fieldTemplates, text, intentFields);
+    }
+
+    textQuery(queryTemplate, fieldTemplates, text, intentFields) {
+        if (queryTemplate.singleField) {
+            const queryField = queryTemplate.singleField;
+
+            return this.wrapQuery(queryField, {
+                humane_query: {
+                    [queryField.field]: _.extend({query: text}, fieldTemplates[0], {intentFields})
                 }
+            });
+        }
+
+        return {
+            multi_humane_query: {
+                query: text,
+                instance: this.instanceName,
+                intentFields,
+                fields: fieldTemplates
             }
         };
     }
 
+    // synonyms of instance, together with those of search type (or else of its index type)
+    synonyms(searchTypeConfig) {
+        if (!this.typeSynonyms.has(searchTypeConfig)) {
+            const typeSynonyms = searchTypeConfig.synonyms || _.get(searchTypeConfig, ['indexType', 'synonyms']);
+            this.typeSynonyms.set(searchTypeConfig, buildSynonyms([this.searchConfig.synonyms, typeSynonyms]));
+        }
+
+        return this.typeSynonyms.get(searchTypeConfig);
+    }
+
+    // replaces synonyms of instance, or of an index type, without a restart. search types with synonyms of their own
+    // keep those.
+    reloadSynonyms(headers, input) {
+        const validatedInput = this.validateInput(input, this.apiSchema.reloadSynonyms);
+        const synonyms = _.pick(validatedInput, ['rules', 'boost']);
+
+        if (validatedInput.type) {
+            this.searchConfig.types[validatedInput.type].synonyms = synonyms;
+
+            // index types of search types may be copies, when extended by search type
+            _.forEach([this.searchConfig.autocomplete, this.searchConfig.search, this.searchConfig.views], (apiConfig) => {
+                _.forEach(_.get(apiConfig, 'types'), (searchTypeConfig) => {
+                    if (_.get(searchTypeConfig, ['indexType', 'type']) === validatedInput.type) {
+                        searchTypeConfig.indexType.synonyms = synonyms;
+                    }
+                });
+            });
+        } else {
+            this.searchConfig.synonyms = synonyms;
+        }
+
+        this.typeSynonyms.clear();
+
+        this.requestLogger(headers).info('Reloaded synonyms', {type: validatedInput.type, rules: synonyms.rules.length});
+
+        return {type: validatedInput.type, rules: synonyms.rules.length};
+    }
+
+    preprocessText(text) {
+        return this.textPreprocessor ? this.textPreprocessor(text) : text;
+    }
+
+    // text is expected to be preprocessed at instance level already
+    preprocessTypeText(searchTypeConfig, text) {
+        const textPreprocessor = this.queryPlan(searchTypeConfig).textPreprocessor;
+        return textPreprocessor ? textPreprocessor(text) : text;
+    }
+
     // eslint-disable-next-line class-methods-use-this
     isValidValue(value) {
         return !_.isUndefined(value) && !_.isNull(value);
     }
 
     filterQueries(searchTypeConfig, input, termLanguages, intentFields) {
-        const filterConfigs = searchTypeConfig.filters || searchTypeConfig.indexType.filters;
+        const filterPlan = this.queryPlan(searchTypeConfig).filters;
 
-        if (!filterConfigs) {
+        if (!filterPlan) {
             return undefined;
         }
 
         const filterQueries = [];
 
-        _.forEach(filterConfigs, (filterConfig, key) => {
-            if (filterConfig.type && filterConfig.type === 'post') {
-                // skip post filters
-                return true;
-            }
+        _.forEach(filterPlan.filters, (filter) => {
+            const filterConfig = filter.config;
 
             let filterValue = null;
             let range = false;
-            if (input.filter && this.isValidValue(input.filter[key])) {
-                filterValue = input.filter[key];
+            if (input.filter && this.isValidValue(input.filter[filter.key])) {
+                filterValue = input.filter[filter.key];
             } else if (filterConfig.defaultValue) {
                 filterValue = filterConfig.defaultValue;
             }
@@ -476,7 +1038,8 @@ class SearcherInternal {
             if (this.isValidValue(filterValue) && filterValue !== '__all__') {
                 let filterType = null;
 
-                if (_.isObject(filterValue)) {
+                // an array is of values, and has values() of its own
+                if (_.isPlainObject(filterValue)) {
                     filterType = filterValue.type;
                     if (filterValue.value) {
                         filterValue = filterValue.value;
@@ -499,18 +1062,28 @@ class SearcherInternal {
                     filterValue = filterConfig.value(filterValue);
                 }
 
-                this.buildFieldQuery(_.defaults({filter: true, rangeQuery: range, termQuery: !range && filterConfig.termQuery}, filterConfig), filterValue, filterQueries, intentFields);
+                // geo filter by default applies only when request has an origin
+                if (filterConfig.type === GEO_TYPE) {
+                    filterValue = geoFilterValue(filter.key, filterValue, input.origin);
+                    if (!filterValue && input.filter && this.isValidValue(input.filter[filter.key])) {
+                        throw new ValidationError(`Origin or point is needed for geo filter: ${filter.key}`, {details: {code: 'ORIGIN_REQUIRED', filter: filter.key}});
+                    } else if (!filterValue) {
+                        return true;
+                    }
+                }
+
+                this.buildFieldQuery(range ? filter.rangeFieldConfig : filter.fieldConfig, filterValue, filterQueries, intentFields);
             }
 
             return true;
         });
 
         if (input.lang && !_.isEmpty(input.lang)) {
-            this.buildFieldQuery(_.extend({filter: true}, filterConfigs.lang), input.lang, filterQueries, intentFields);
+            this.buildFieldQuery(filterPlan.langFieldConfig, input.lang, filterQueries, intentFields);
         }
 
         if (termLanguages && !_.isEmpty(termLanguages)) {
-            this.buildFieldQuery(_.extend({filter: true}, filterConfigs.lang), termLanguages, filterQueries, intentFields);
+            this.buildFieldQuery(filterPlan.langFieldConfig, termLanguages, filterQueries, intentFields);
         }
 
         if (filterQueries.length === 0) {
@@ -527,20 +1100,19 @@ class SearcherInternal {
     }
 
     facetQueries(searchTypeConfig, input, intentFields) {
-        const facetConfigs = searchTypeConfig.facets || searchTypeConfig.indexType.facets;
+        const facetFilters = this.queryPlan(searchTypeConfig).facetFilters;
 
-        if (!facetConfigs) {
+        if (!facetFilters) {
             return undefined;
         }
 
         const facetQueries = [];
 
-        _.forEach(facetConfigs, (facetConfig) => {
-            const facetConfigKey = facetConfig.key;
+        _.forEach(facetFilters, (facetFilter) => {
             let filterValue = null;
 
-            if (input.filter && input.filter[facetConfigKey]) {
-                filterValue = input.filter[facetConfigKey];
+            if (input.filter && input.filter[facetFilter.key]) {
+                filterValue = input.filter[facetFilter.key];
             }
 
             if (filterValue && filterValue !== '__all__' && _.isObject(filterValue)) {
@@ -562,65 +1134,36 @@ class SearcherInternal {
                     return true;
                 }
 
-                if (facetConfig.type === 'field' || facetConfig.type === 'min-max') {
-                    // form field query here - termQuery, nestedPath, field
-                    this.buildFieldQuery({
-                        filter: true,
-                        termQuery: !range,
-                        rangeQuery: range,
-                        field: facetConfig.field,
-                        nestedPath: facetConfig.nestedPath,
-                        includeMissing: facetConfig.includeMissing,
-                        supportsRangeQuery: facetConfig.supportsRangeQuery
-                    }, filterValue, facetQueries, intentFields);
-                } else if (facetConfig.type === 'filters') {
-                    // find matching filter and form appropriate query here
-                    const matchingFilterQueries = [];
-                    if (!_.isArray(filterValue)) {
-                        filterValue = [filterValue];
-                    }
+                if (facetFilter.type === 'field' || facetFilter.type === 'min-max') {
+                    this.buildFieldQuery(range ? facetFilter.rangeFieldConfig : facetFilter.fieldConfig, filterValue, facetQueries, intentFields);
+                } else if (facetFilter.type === 'filters' || facetFilter.type === 'ranges') {
+                    // find matching filters or ranges, and form their query here
+                    const matchingQueries = _(_.isArray(filterValue) ? filterValue : [filterValue])
+                      .map(oneValue => facetFilter.bucketQueries[oneValue])
+                      .filter(bucketQuery => !!bucketQuery)
+                      .value();
 
-                    _.forEach(filterValue, (oneValue) => {
-                        _.forEach(facetConfig.filters, (filterFacetConfig) => {
-                            if (oneValue === filterFacetConfig.key) {
-                                matchingFilterQueries.push(filterFacetConfig.filter);
-                            }
-                        });
-                    });
+                    // push a missing data query here
+                    if (facetFilter.missingQuery) {
+                        matchingQueries.push(facetFilter.missingQuery);
+                    }
 
-                    const query = this.boolShouldQueries(matchingFilterQueries);
+                    const query = this.boolShouldQueries(matchingQueries);
                     if (query) {
                         facetQueries.push(query);
                     }
-                } else if (facetConfig.type === 'ranges') {
-                    // find matching range and form range query here
-                    const matchingRangeQueries = [];
-                    if (!_.isArray(filterValue)) {
-                        filterValue = [filterValue];
+                } else if (facetFilter.type === GEO_DISTANCE_FACET_TYPE) {
+                    if (!input.origin) {
+                        throw new ValidationError(`Origin is needed for geo distance filter: ${facetFilter.key}`, {details: {code: 'ORIGIN_REQUIRED', filter: facetFilter.key}});
                     }
 
-                    _.forEach(filterValue, (oneValue) => {
-                        _.forEach(facetConfig.ranges, (filterRangeConfig) => {
-                            if (oneValue === filterRangeConfig.key) {
-                                // TODO: support nested too
-                                matchingRangeQueries.push({
-                                    range: {
-                                        [facetConfig.field]: {
-                                            gte: filterRangeConfig.from,
-                                            lt: filterRangeConfig.to
-                                        }
-                                    }
-                                });
-                            }
-                        });
-                    });
-
-                    // push a missing data query here
-                    if (facetConfig.includeMissing) {
-                        matchingRangeQueries.push(this.missingQuery(facetConfig.field));
-                    }
+                    const ringQueries = _(_.isArray(filterValue) ? filterValue : [filterValue])
+                      .map(oneValue => facetFilter.ranges[oneValue])
+                      .filter(ring => !!ring)
+                      .map(ring => this.geoRingQuery(facetFilter, ring, input.origin))
+                      .value();
 
-                    const query = this.boolShouldQueries(matchingRangeQueries);
+                    const query = this.boolShouldQueries(ringQueries);
                     if (query) {
                         facetQueries.push(query);
                     }
@@ -644,26 +1187,22 @@ class SearcherInternal {
     }
 
     // todo: see the usage of it...
-    // eslint-disable-next-line class-methods-use-this
     postFilters(searchTypeConfig, input) {
-        const filterConfigs = searchTypeConfig.filters || searchTypeConfig.indexType.filters;
+        const filterPlan = this.queryPlan(searchTypeConfig).filters;
 
-        if (!filterConfigs) {
+        if (!filterPlan) {
             return undefined;
         }
 
         const postFilters = [];
 
-        _.forEach(filterConfigs, (filterConfig, key) => {
-            if (!filterConfig.type || filterConfig.type !== 'post') {
-                // skip non filters
-                return true;
-            }
+        _.forEach(filterPlan.postFilters, (filter) => {
+            const filterConfig = filter.config;
 
             let filterValue = null;
 
-            if (input.filter && input.filter[key]) {
-                filterValue = input.filter[key];
+            if (input.filter && input.filter[filter.key]) {
+                filterValue = input.filter[filter.key];
             } else if (filterConfig.defaultValue) {
                 filterValue = filterConfig.defaultValue;
             }
@@ -675,8 +1214,6 @@ class SearcherInternal {
 
                 postFilters.push(filterConfig.filter);
             }
-
-            return true;
         });
 
         return postFilters;
@@ -705,6 +1242,19 @@ class SearcherInternal {
             if (config.sortFn && _.isFunction(config.sortFn)) {
                 return config.sortFn(this.sortOrder(order));
             }
+
+            // geo sort is by distance from origin of request, and hence is resolved per request
+            if (config.type === GEO_TYPE) {
+                return origin => ({
+                    _geo_distance: {
+                        [config.field]: origin,
+                        order: this.sortOrder(order),
+                        unit: config.unit || DEFAULT_DISTANCE_UNIT,
+                        distance_type: 'arc'
+                    }
+                });
+            }
+
             return {
                 [config.field]: this.sortOrder(order)
             };
@@ -722,30 +1272,39 @@ class SearcherInternal {
     }
 
     sortPart(searchTypeConfig, input) {
-        const sortConfigs = searchTypeConfig.sort || searchTypeConfig.indexType.sort;
-        if (!sortConfigs || !_.isArray(sortConfigs)) {
+        const sortPlan = this.queryPlan(searchTypeConfig).sort;
+        if (!sortPlan) {
             return undefined;
         }
 
         // build sort
         if (input.sort && input.sort.field) {
-            const matchingConfig = _.find(sortConfigs, (config) => {
-                if ((_.isString(config) && config === input.sort.field)
-                  || (_.isObject(config) && config.field === input.sort.field)) {
-                    return config;
+            const matchingSort = sortPlan.fields[input.sort.field];
+            if (matchingSort) {
+                const sort = matchingSort[this.sortOrder(input.sort.order)];
+                if (!_.isFunction(sort)) {
+                    return sort;
                 }
 
-                return null;
-            });
+                if (!input.origin) {
+                    throw new ValidationError(`Origin is needed to sort by distance of: ${input.sort.field}`, {details: {code: 'ORIGIN_REQUIRED', field: input.sort.field}});
+                }
 
-            if (matchingConfig) {
-                return this.buildSort(matchingConfig, input.sort.order);
+                return sort(input.origin);
             }
 
             return undefined;
         }
 
-        return this.buildDefaultSort(sortConfigs);
+        // default geo sort applies only when request has an origin
+        if (_.some(sortPlan.defaultSort, _.isFunction)) {
+            return _(sortPlan.defaultSort)
+              .map(sort => (_.isFunction(sort) ? input.origin && sort(input.origin) : sort))
+              .compact()
+              .value();
+        }
+
+        return sortPlan.defaultSort;
     }
 
     // eslint-disable-next-line class-methods-use-this
@@ -755,19 +1314,8 @@ class SearcherInternal {
         };
     }
 
-    facet(facetConfig, summariesConfig) {
-        if (!facetConfig.key) {
-            throw new ValidationError('No name defined for facet', {details: {code: 'NO_FACET_NAME_DEFINED'}});
-        }
-
-        if (!facetConfig.type) {
-            throw new ValidationError('No facet type defined', {details: {code: 'NO_FACET_TYPE_DEFINED', facetName: facetConfig.key}});
-        }
-
-        if ((facetConfig.type === 'field' || facetConfig.type === 'ranges') && !facetConfig.field) {
-            throw new ValidationError('No facet field defined', {details: {code: 'NO_FACET_FIELD_DEFINED', facetName: facetConfig.key, facetType: facetConfig.type}});
-        }
-
+    // facet config is validated at startup, see SearchConfigSchema
+    facet(facetConfig, summariesConfig, origin) {
         const facetKey = facetConfig.key;
         let facetValue = null;
 
@@ -785,35 +1333,26 @@ class SearcherInternal {
                 }
             };
         } else if (facetConfig.type === 'ranges') {
-            if (!facetConfig.ranges) {
-                throw new ValidationError('No ranges defined for range type facet', {details: {code: 'NO_RANGES_DEFINED', facetName: facetConfig.key, facetType: facetConfig.type}});
-            }
-
             facetValue = {
                 range: {
                     field: facetConfig.field,
-                    ranges: _.map(facetConfig.ranges, (range) => {
-                        if (!range.key) {
-                            throw new ValidationError('No range facet key defined', {details: {code: 'NO_RANGE_FACET_KEY_DEFINED', facetName: facetConfig.key, facetType: facetConfig.type}});
-                        }
-
-                        if (!range.from && !range.to) {
-                            throw new ValidationError('None of range from & to defined', {details: {code: 'NO_RANGE_ENDS_DEFINED', facetName: facetConfig.key, facetType: facetConfig.type}});
-                        }
-
-                        return {
-                            key: range.key,
-                            from: range.from,
-                            to: range.to
-                        };
-                    })
+                    ranges: _.map(facetConfig.ranges, range => ({
+                        key: range.key,
+                        from: range.from,
+                        to: range.to
+                    }))
+                }
+            };
+        } else if (facetConfig.type === GEO_DISTANCE_FACET_TYPE) {
+            facetValue = {
+                geo_distance: {
+                    field: facetConfig.field,
+                    origin,
+                    unit: facetConfig.unit || DEFAULT_DISTANCE_UNIT,
+                    ranges: _.map(facetConfig.ranges, range => _.omitBy({key: range.key, from: range.from, to: range.to}, _.isUndefined))
                 }
             };
         } else if (facetConfig.type === 'filters') {
-            if (!facetConfig.filters) {
-                throw new ValidationError('No filters defined for filters type facet', {details: {code: 'NO_FILTERS_DEFINED', facetName: facetConfig.key, facetType: facetConfig.type}});
-            }
-
             const filters = {};
 
             _.forEach(facetConfig.filters, (filter) => {
@@ -823,9 +1362,6 @@ class SearcherInternal {
             facetValue = {
                 filters: {filters}
             };
-        } else {
-            // throw error here
-            throw new ValidationError('Unknown facet type', {details: {code: 'UNKNOWN_FACET_TYPE', facetName: facetConfig.key, facetType: facetConfig.type}});
         }
 
         if (summariesConfig) {
@@ -862,7 +1398,22 @@ class SearcherInternal {
     //     };
     // }
 
-    facetsPart(searchTypeConfig) {
+    facetsPart(searchTypeConfig, input) {
+        const plan = this.queryPlan(searchTypeConfig);
+        if (_.isEmpty(plan.geoFacets) || !input || !input.origin) {
+            return plan.aggregations;
+        }
+
+        const aggregations = _.extend({}, plan.aggregations);
+        _.forEach(plan.geoFacets, (facetConfig) => {
+            const facet = this.facet(facetConfig, searchTypeConfig.summaries, input.origin);
+            aggregations[facet.key] = facet.value;
+        });
+
+        return aggregations;
+    }
+
+    buildAggregations(searchTypeConfig) {
         if (!searchTypeConfig.facets) {
             return null;
         }
@@ -885,6 +1436,10 @@ class SearcherInternal {
         }
 
         _.forEach(facetConfigs, (facetConfig) => {
+            if (facetConfig.type === GEO_DISTANCE_FACET_TYPE) {
+                return;
+            }
+
             const facet = this.facet(facetConfig, searchTypeConfig.summaries);
             facets[facet.key] = facet.value;
         });
@@ -892,8 +1447,55 @@ class SearcherInternal {
         return facets;
     }
 
+    // request fields narrow includes of type, while excludes of type always apply
+    sourcePart(searchTypeConfig, input) {
+        const plan = this.queryPlan(searchTypeConfig);
+        return withDistanceFields(this.buildSourcePart(plan.source, input), [plan.distance], input);
+    }
+
+    // for flat search, includes are used only when all types have them, and excludes only those common to all types.
+    // request fields are kept only when every type that has includes allows them.
+    flatSourcePart(searchTypeConfigs, input) {
+        const sources = _.map(searchTypeConfigs, searchTypeConfig => this.queryPlan(searchTypeConfig).source || {});
+
+        const includesOfTypes = _(sources)
+          .map('includes')
+          .compact()
+          .value();
+        const includes = includesOfTypes.length === sources.length ? _.union(...includesOfTypes) : undefined;
+        const excludes = _.intersection(..._.map(sources, source => source.excludes || []));
+
+        const distanceConfigs = _.map(searchTypeConfigs, searchTypeConfig => this.queryPlan(searchTypeConfig).distance);
+
+        return withDistanceFields(this.buildSourcePart(this.compileSource(includes, excludes), input, includesOfTypes), distanceConfigs, input);
+    }
+
+    // for flat search, fields to highlight are of all types, while tags and fragments are as of first type that highlights
+    flatHighlightPart(searchTypeConfigs) {
+        const highlights = _.compact(_.map(searchTypeConfigs, searchTypeConfig => this.queryPlan(searchTypeConfig).highlight));
+        if (_.isEmpty(highlights)) {
+            return undefined;
+        }
+
+        return _.defaults({fields: _.extend({}, ..._.map(highlights, 'fields'))}, highlights[0]);
+    }
+
+    // request fields outside includes of type are dropped, and includes of type apply when none of them is left
+    // eslint-disable-next-line class-methods-use-this
+    buildSourcePart(source, input, includesOfTypes) {
+        const fields = allowedFields(requestFields(input), includesOfTypes || _.compact([source && source.includes]));
+        if (!source && !fields) {
+            return undefined;
+        }
+
+        return _.omitBy({
+            includes: fields || (source && source.includes),
+            excludes: source && source.excludes
+        }, _.isUndefined);
+    }
+
     // eslint-disable-next-line class-methods-use-this
-    _searchQueryInternal(index, query, page, size, queryLanguages, type, sort, facets, postFilter) {
+    _searchQueryInternal(index, query, page, size, queryLanguages, type, sort, facets, postFilter, source, minScore, highlight) {
         // const indexTypeConfig = searchTypeConfig.indexType;
         //
         // let sort = this.sortPart(searchTypeConfig, input) || undefined;
@@ -913,6 +1515,8 @@ class SearcherInternal {
                 from: (page || 0) * (size || 0),
                 size,
                 sort,
+                _source: source,
+                min_score: minScore,
                 query: {
                     function_score: {
                         query,
@@ -924,7 +1528,8 @@ class SearcherInternal {
                     }
                 },
                 post_filter: postFilter,
-                aggs: facets
+                aggs: facets,
+                highlight
             },
             queryLanguages
         };
@@ -938,10 +1543,7 @@ class SearcherInternal {
             sort = undefined;
         }
 
-        let facets = this.facetsPart(searchTypeConfig) || undefined;
-        if (facets && _.isEmpty(facets)) {
-            facets = undefined;
-        }
+        const facets = this.facetsPart(searchTypeConfig, input);
 
         const filter = this.filterQueries(searchTypeConfig, input, _.keys(queryLanguages), intentFields);
 
@@ -959,7 +1561,10 @@ class SearcherInternal {
           indexTypeConfig.type,
           sort,
           facets,
-          this.facetQueries(searchTypeConfig, input, intentFields)
+          this.facetQueries(searchTypeConfig, input, intentFields),
+          this.sourcePart(searchTypeConfig, input),
+          this.queryPlan(searchTypeConfig).relevanceCutoff.minScore,
+          this.queryPlan(searchTypeConfig).highlight
         );
     }
 
@@ -968,17 +1573,7 @@ class SearcherInternal {
             return _.map(source, value => this._deepOmit(value));
         } else if (_.isObject(source) && !_.isDate(source) && !_.isRegExp(source) && !_.isFunction(source)) {
             return _(source)
-              .omitBy((value, key) => {
-                  if (_.startsWith(key, '__') && _.endsWith(key, '__')) {
-                      return true;
-                  }
-
-                  if ((this.instanceName === 'carDekho' || this.instanceName === 'carDekhoV2') && (key === 'features' || key === 'colors' || key === 'content')) {
-                      return true;
-                  }
-
-                  return false;
-              })
+              .omitBy((value, key) => _.startsWith(key, '__') && _.endsWith(key, '__'))
               .mapValues(value => this._deepOmit(value))
               .value();
         }
@@ -991,25 +1586,18 @@ class SearcherInternal {
             return null;
         }
 
-        let source = this._deepOmit(hit._source);
+        const source = this._deepOmit(hit._source);
 
-        source = _(source)
-          .mapValues((value, key) => {
-              if (key === '_hourlyStats' || key === '_dailyStats' || key === '_weeklyStats' || key === '_monthlyStats') {
-                  return _.mapValues(value, childValue => _.omit(childValue, 'lastNStats'));
-              }
+        // highlighted fragments by field, for hits of a type that has highlight
+        const highlight = hit.highlight ? {_highlight: hit.highlight} : {};
 
-              return value;
-          })
-          .value();
-
-        return _.defaults(_.pick(hit, ['_id', '_score', '_type', '_weight', '_version']), /*{_name: name},*/ source);
+        return _.defaults(_.extend(_.pick(hit, ['_id', '_score', '_type', '_weight', '_version']), highlight), /*{_name: name},*/ source);
     }
 
     // eslint-disable-next-line class-methods-use-this
     _baseUrl(input, type, apiType) {
         const inputParams = _(input)
-          .pick(['text', 'filter', 'sort'])
+          .pick(['text', 'filter', 'sort', 'section', 'origin'])
           // .mapValues((value, key) => {
           //     if (key === 'type' && (value === '' || value === '*')) {
           //         return undefined;
@@ -1024,35 +1612,66 @@ class SearcherInternal {
         return `/searcher/api/${apiType}?${qs.stringify(inputParams, {allowDots: true, skipNulls: true})}`;
     }
 
-    _processResponse(response, searchTypesConfig, type, input, apiType) {
-        // let type = null;
-        // let name = null;
+    // distance of result from origin of request, for types with distance
+    withDistance(result, hit, searchTypesConfig, type, input) {
+        const searchTypeConfig = searchTypesConfig && searchTypesConfig[type || hit._type];
+        const distanceConfig = searchTypeConfig && this.queryPlan(searchTypeConfig).distance;
 
-        const results = [];
+        if (!result || !distanceConfig || !input || !input.origin) {
+            return result;
+        }
 
-        if (response.hits && response.hits.hits) {
-            // _.forEach(response.hits.hits, (hit) => {
-            //     results.push(this._processSource(hit));
-            // });
+        const distance = geoDistance(input.origin, _.get(hit._source, distanceConfig.field), distanceConfig.unit);
 
-            let previousScore = null;
-            _.forEach(response.hits.hits, (hit) => {
-                const hitOut = this._processSource(hit);
+        return _.isUndefined(distance) ? result : _.extend(result, {_distance: distance});
+    }
 
-                if (previousScore == null || (hitOut._score * 1.0) / previousScore > 0.40) {
-                    results.push(hitOut);
-                    previousScore = hitOut._score;
-                }
-            });
+    // relevance cutoff of type, or of api when results are of many types
+    relevanceCutoff(searchTypesConfig, type) {
+        const searchTypeConfig = type && searchTypesConfig && searchTypesConfig[type];
+        if (searchTypeConfig) {
+            return this.queryPlan(searchTypeConfig).relevanceCutoff;
         }
 
-        const searchTypeConfig = type && searchTypesConfig[type];
+        return this.apiRelevanceCutoffs.get(searchTypesConfig) || this.defaultRelevanceCutoff;
+    }
 
-        let summaryKeys = null;
-        if (searchTypeConfig && searchTypeConfig.summaries) {
-            summaryKeys = _.chain(searchTypeConfig.summaries).keys().value();
+    // processes hits, and cuts those not relevant enough
+    _processHits(response, searchTypesConfig, type, input) {
+        let totalResults = _.get(response, 'hits.total', 0);
+
+        const hits = _.get(response, 'hits.hits');
+        if (!hits) {
+            return {results: [], cutCount: 0, totalResults};
         }
 
+        const allResults = _.map(hits, hit => this.withDistance(this._processSource(hit), hit, searchTypesConfig, type, input));
+
+        let results = allResults;
+        if (isRelevanceSort(input)) {
+            results = this.relevanceCutoff(searchTypesConfig, type).cut(allResults);
+        }
+
+        const cutCount = allResults.length - results.length;
+        if (cutCount > 0) {
+            // hits after the cut are even less relevant, so there is nothing more to page through
+            totalResults = ((input.count || 0) * (input.page || 0)) + results.length;
+        }
+
+        return {results, cutCount, totalResults};
+    }
+
+    _processResponse(response, searchTypesConfig, type, input, apiType) {
+        // let type = null;
+        // let name = null;
+
+        const {results, cutCount, totalResults} = this._processHits(response, searchTypesConfig, type, input);
+
+        const searchTypeConfig = type && searchTypesConfig[type];
+        const plan = searchTypeConfig && this.queryPlan(searchTypeConfig);
+
+        const summaryKeys = plan && plan.summaryKeys;
+
         let summaries;
         if (summaryKeys && response.aggregations) {
             summaries = {};
@@ -1065,14 +1684,10 @@ class SearcherInternal {
         }
 
         let facets;
-        if (searchTypeConfig && searchTypeConfig.facets && response.aggregations) {
+        if (plan && plan.facets && response.aggregations) {
             facets = {};
-            let facetConfigs = searchTypeConfig.facets;
-            if (!_.isArray(facetConfigs)) {
-                facetConfigs = [facetConfigs];
-            }
 
-            _.forEach(facetConfigs, (facetConfig) => {
+            _.forEach(plan.facets, (facetConfig) => {
                 let facet = response.aggregations[facetConfig.key];
 
                 if (!facet) {
@@ -1146,7 +1761,6 @@ class SearcherInternal {
         }
 
         const count = results && results.length;
-        const totalResults = _.get(response, 'hits.total', 0);
 
         if ((input.count * input.page) + count < totalResults) {
             nextPage = {
@@ -1165,6 +1779,7 @@ class SearcherInternal {
             queryTimeTaken: response.took,
             totalResults,
             count,
+            cutCount,
             prevPage,
             nextPage
         };
@@ -1180,10 +1795,12 @@ class SearcherInternal {
             totalResults: 0,
             results: {}, // todo: better pass these as array of results
             searchText: input && input.text,
+            normalizedText: input && input.normalizedText,
             filter: input && input.filter,
             sort: input && input.sort,
             page: input && input.page,
-            count: 0
+            count: 0,
+            cutCount: 0
         };
 
         _.forEach(responses.responses, (response, index) => {
@@ -1198,6 +1815,7 @@ class SearcherInternal {
             mergedResult.results[result.type] = result;
             mergedResult.totalResults += result.totalResults;
             mergedResult.count += result && result.results.length;
+            mergedResult.cutCount += result.cutCount;
         });
 
         let nextPage;
@@ -1254,39 +1872,25 @@ class SearcherInternal {
             totalResults: 0,
             results: [],
             searchText: input && input.text,
+            normalizedText: input && input.normalizedText,
             filter: input && input.filter,
             sort: input && input.sort,
             page: input && input.page,
-            count: 0
+            count: 0,
+            cutCount: 0
         };
 
-        _.forEach(responses.responses, (response) => {
-            const result = {
-                results: [],
-                totalResults: 0,
-                count: 0
-            };
-
-            if (response.hits && response.hits.hits) {
-                result.totalResults = _.get(response, 'hits.total', 0);
-
-                let previousScore = null;
-                _.forEach(response.hits.hits, (hit) => {
-                    const hitOut = this._processSource(hit);
-
-                    if (previousScore == null || (hitOut._score * 1.0) / previousScore > 0.40) {
-                        result.results.push(hitOut);
-                        previousScore = hitOut._score;
-                    }
-                });
+        _.forEach(responses.responses, (response, index) => {
+            const type = types && _.isArray(types) && types.length > index && types[index];
+            const result = this._processHits(response, searchTypesConfig, type, input);
 
-                result.count = result.results && result.results.length;
-            }
+            result.count = result.results.length;
 
             mergedResult.queryTimeTaken = Math.max(mergedResult.queryTimeTaken || 0, result.queryTimeTaken);
             mergedResult.results.push(result);
             mergedResult.totalResults += result.totalResults;
             mergedResult.count += result && result.count;
+            mergedResult.cutCount += result.cutCount;
         });
 
         let nextPage;
@@ -1330,6 +1934,7 @@ class SearcherInternal {
 
         return _.extend(finalResponse, {
             searchText: input.text,
+            normalizedText: input.normalizedText,
             filter: input.filter,
             sort: input.sort,
             page: input.page
@@ -1346,6 +1951,7 @@ class SearcherInternal {
 
         return _.extend(finalResponse, {
             searchText: input.text,
+            normalizedText: input.normalizedText,
             filter: input.filter,
             sort: input.sort,
             page: input.page,
@@ -1365,19 +1971,9 @@ class SearcherInternal {
 
         let responsePostProcessor = null;
 
-        let text = input.text;
+        const text = this.preprocessText(input.text);
 
-        if ((this.instanceName === '1mg' || this.instanceName === 'netmeds') && text) {
-            // fix text
-            text = _(text)
-              .replace(/(^|[\s]|[^0-9]|[^a-z])([0-9]+)[\s]+(mg|mcg|ml|%)/gi, '$1$2$3')
-              .replace(/(^|[\s]|[^0-9]|[^a-z])\.([0-9]+)[\s]*(mg|mcg|ml|%)/gi, '$10.$2$3')
-              .replace(/([0-9]+)'S$/gi, '$1S')
-              .trim();
-        } else if (this.instanceName === 'prettySecrets' && text) {
-            // eslint-disable-next-line no-regex-spaces, max-len
-            text = text.replace(/(PS 0916MWBHPR-0(?:1|2)|(?:PS[0-9A-Z]+(?:-[0-9A-Z]+)?(?: - BASIX| - PURPLE| ANTIQUE ROSE| A| BERRY| BLACK| BLK.GOLD| BLKPINK| BLUE| BROWN| B| CHERRY| CORALFLR| CREAMFLR| DARKGREY| GIRAFFE| HPR04 Lime Navy| IVORY| LEMON| LILAC| NAVY WHITE| PINK HEART| PINK| PNKSNAKE| PURGREY| PURPLE| RED| REDBLACK| SCARLETT| WHITE| YELLOW|,  HPR04 Yellow orange| PS[0-9A-Z]+(?:-[0-9A-Z]+)?)?))(?:[\s]+|$)/gi, match => _.snakeCase(match));
-        }
+        let normalizedText = text;
 
         // return Promise.resolve(this.buildTypeQuery(searchTypeConfig, text, input.fuzzySearch, intentIndex, intentFields))
         //   .then(({query, queryLanguages}) => {
@@ -1398,38 +1994,50 @@ class SearcherInternal {
             responsePostProcessor = searchApiConfig.multiResponsePostProcessor;
 
             if (searchApiConfig.flat || input.flat) {
-                const searchQueries = _(searchTypeConfigs)
+                const flatTypeConfigs = _(searchTypeConfigs)
                   .filter((value, key) => !_.isArray(input.type) || _.some(input.type, val => val === key))
                   .values()
-                  .map(typeConfig =>
-                    Promise.resolve(this.buildTypeQuery(typeConfig, text, input.fuzzySearch, intentFields))
+                  .value();
+
+                // filters (with their defaults) and sort apply to flat search since sections, which it ignored before
+                const searchQueries = _.map(flatTypeConfigs, typeConfig =>
+                    Promise.resolve(this.buildTypeQuery(typeConfig, this.preprocessTypeText(typeConfig, text), input.fuzzySearch, intentFields, input.minimumShouldMatch))
                       .then(({query}) => ({
                           bool: {
                               must: [
                                   query,
-                                  {
-                                      term: {
-                                          _type: {
-                                              value: typeConfig.indexType.type
-                                          }
-                                      }
-                                  }
-                              ]
+                                  this.esClient.dialect.typeFilter(typeConfig.indexType.type)
+                              ],
+                              filter: this.filterQueries(typeConfig, input, null, intentFields)
                           }
-                      })))
-                  .value();
+                      })));
+
+                // sort on a field is applied as defined by first type supporting it
+                let sort;
+                if (input.sort && input.sort.field) {
+                    sort = _(flatTypeConfigs)
+                      .map(typeConfig => this.sortPart(typeConfig, input))
+                      .find(typeSort => !!typeSort && !_.isEmpty(typeSort));
+                }
 
                 multiSearch = false;
                 flat = true;
 
+                const source = this.flatSourcePart(flatTypeConfigs, input);
+                const minScore = this.relevanceCutoff(searchTypeConfigs, null).minScore;
+                const highlight = this.flatHighlightPart(flatTypeConfigs);
+
                 promise = Promise.all(searchQueries)
-                  .then(queries => this._searchQueryInternal(`${_.toLower(this.instanceName)}_store`, {bool: {should: queries}}, input.page, input.count || 10));
+                  .then(queries => this._searchQueryInternal(
+                    `${_.toLower(this.instanceName)}_store`, {bool: {should: queries}}, input.page, input.count || 10, undefined, undefined, sort, undefined, undefined, source, minScore,
+                    highlight
+                  ));
             } else {
                 const searchQueries = _(searchTypeConfigs)
                   .filter((value, key) => !_.isArray(input.type) || _.some(input.type, val => val === key))
                   .values()
                   .map(typeConfig =>
-                    Promise.resolve(this.buildTypeQuery(typeConfig, text, input.fuzzySearch, intentFields))
+                    Promise.resolve(this.buildTypeQuery(typeConfig, this.preprocessTypeText(typeConfig, text), input.fuzzySearch, intentFields, input.minimumShouldMatch))
                       .then(({query, queryLanguages}) => this.searchQuery(typeConfig, input, intentFields, query, queryLanguages)))
                   .value();
 
@@ -1451,7 +2059,9 @@ class SearcherInternal {
 
             intentFields = _.uniq(intentFields);
 
-            promise = Promise.resolve(this.buildTypeQuery(searchTypeConfig, text, input.fuzzySearch, intentFields))
+            normalizedText = this.preprocessTypeText(searchTypeConfig, text);
+
+            promise = Promise.resolve(this.buildTypeQuery(searchTypeConfig, normalizedText, input.fuzzySearch, intentFields, input.minimumShouldMatch))
               .then(({query, queryLanguages}) => this.searchQuery(searchTypeConfig, input, intentFields, query, queryLanguages));
 
             // promise = this.searchQuery(searchTypeConfig, input, intentIndex, intentFields);
@@ -1469,16 +2079,105 @@ class SearcherInternal {
         //     console.log('input, queryOrArray: ', input, queryOrArray);
         //     return queryOrArray;
         // })
-          .then(queryOrArray => ({queryOrArray, multiSearch, flat, typeOrTypesArray, responsePostProcessor}));
+          .then(queryOrArray => ({queryOrArray, multiSearch, flat, typeOrTypesArray, responsePostProcessor, normalizedText}));
+    }
+
+    // field that makes sort of a type total, as search_after needs a unique last sort field
+    tiebreakerField(typeConfig) {
+        return _.get(typeConfig, 'tiebreakerField') || _.get(typeConfig, ['indexType', 'tiebreakerField']) || this.esClient.dialect.tiebreakerField;
+    }
+
+    // turns query into a query for page of cursor: sort is made total with tiebreaker field (or by point in time,
+    // that has an implicit one), and the page is read after sort values of last hit of previous page
+    cursorQuery(headers, queryResponse, input, searchApiConfig, apiType) {
+        if (queryResponse.multiSearch) {
+            throw new ValidationError('Cursor is not supported for search of multiple types, unless search is flat: search a type, or page with page', {
+                details: {code: 'CURSOR_NOT_SUPPORTED'}
+            });
+        }
+
+        const query = queryResponse.queryOrArray;
+        const search = _.extend({}, query.search, {from: 0});
+
+        const scope = cursorScope({
+            api: apiType,
+            type: input.type,
+            flat: queryResponse.flat,
+            text: input.text,
+            filter: input.filter,
+            sort: input.sort,
+            fields: input.fields,
+            count: input.count,
+            origin: input.origin
+        });
+
+        const position = input.cursor === Constants.START_CURSOR ? {page: 0} : decodeCursor(input.cursor, scope, this.cursorSecret);
+        if (position.after) {
+            search.search_after = position.after;
+        }
+
+        const pointInTime = searchApiConfig.pointInTime && this.esClient.dialect.pointInTime;
+        const keepAlive = pointInTime && (searchApiConfig.pointInTime.keepAlive || DEFAULT_POINT_IN_TIME_KEEP_ALIVE);
+
+        const typeConfig = !queryResponse.flat && searchApiConfig.types[input.type];
+        const tiebreaker = pointInTime ? [] : [{[this.tiebreakerField(typeConfig)]: 'asc'}];
+        search.sort = _.concat(_.castArray(search.sort || {_score: 'desc'}), tiebreaker);
+
+        let pitPromise = null;
+        if (pointInTime) {
+            pitPromise = position.pit || this.esClient.openPointInTime(query.index, keepAlive, this.requestLogger(headers));
+        }
+
+        return Promise.resolve(pitPromise)
+          .then((pit) => {
+              if (pit) {
+                  search.pit = {id: pit, keep_alive: keepAlive};
+              }
+
+              return {
+                  query: _.defaults({search}, query),
+                  cursor: {scope, page: position.page || 0, count: search.size, pit}
+              };
+          });
+    }
+
+    // cursor of response points after its last hit, and is null at the end of results
+    withNextCursor(finalResponse, esResponse, cursor) {
+        const hits = _.get(esResponse, 'hits.hits', []);
+        const lastHit = _.last(hits);
+
+        let nextCursor = null;
+        if (lastHit && hits.length >= cursor.count && !finalResponse.cutCount) {
+            nextCursor = encodeCursor(cursor.scope, {page: cursor.page + 1, after: lastHit.sort, pit: esResponse.pit_id || cursor.pit}, this.cursorSecret);
+        }
+
+        return _.extend(_.omit(finalResponse, ['prevPage', 'nextPage']), {cursor: nextCursor});
     }
 
     _searchInternal(headers, input, searchApiConfig, eventName, queryResponse) {
+        return this._searchResponse(headers, input, searchApiConfig, eventName, queryResponse)
+          .then(searchResponse => this.withFallback(headers, input, searchApiConfig, eventName, searchResponse))
+          .then(({response, responsePostProcessor}) => {
+              this.emitSearchEvent(eventName, headers, input, response);
+
+              if (responsePostProcessor && input.format === 'custom') {
+                  return responsePostProcessor(response);
+              }
+
+              return response;
+          });
+    }
+
+    // response of search of input, with response post processor of its type(s)
+    _searchResponse(headers, input, searchApiConfig, eventName, queryResponse) {
         const searchTypeConfigs = searchApiConfig.types;
         let multiSearch = false;
         let flat = false;
         let queryOrArray = null;
         let typeOrTypesArray = null;
         let responsePostProcessor = null;
+        let responseInput = input;
+        let cursor = null;
 
         return Promise.resolve(queryResponse || this._queryInternal(headers, input, searchApiConfig))
           .then((response) => {
@@ -1487,33 +2186,88 @@ class SearcherInternal {
               flat = response.flat;
               typeOrTypesArray = response.typeOrTypesArray;
               responsePostProcessor = response.responsePostProcessor;
+              responseInput = _.defaults({normalizedText: response.normalizedText}, input);
+
+              if (input.cursor) {
+                  return this.cursorQuery(headers, response, input, searchApiConfig, eventName)
+                    .then((cursorQuery) => {
+                        cursor = cursorQuery.cursor;
+
+                        // page is still told in response, and is needed to count total results after relevance cutoff
+                        responseInput = _.defaults({page: cursor.page}, responseInput);
+
+                        return this.esClient.search(cursorQuery.query, this.requestLogger(headers));
+                    });
+              }
 
               if (multiSearch) {
-                  return this.esClient.multiSearch(queryOrArray);
+                  return this.esClient.multiSearch(queryOrArray, this.requestLogger(headers));
               }
 
-              return this.esClient.search(queryOrArray);
+              return this.esClient.search(queryOrArray, this.requestLogger(headers));
           })
           .then((response) => {
               if (multiSearch) {
-                  return this.processMultipleSearchResponse(response, searchTypeConfigs, typeOrTypesArray, input, eventName);
+                  return this.processMultipleSearchResponse(response, searchTypeConfigs, typeOrTypesArray, responseInput, eventName);
               }
 
-              if (flat) {
-                  return this.processFlatSearchResponse(response, searchTypeConfigs, input, eventName);
-              }
+              const finalResponse = flat
+                ? this.processFlatSearchResponse(response, searchTypeConfigs, responseInput, eventName)
+                : this.processSingleSearchResponse(response, searchTypeConfigs, typeOrTypesArray, responseInput, eventName);
 
-              return this.processSingleSearchResponse(response, searchTypeConfigs, typeOrTypesArray, input, eventName);
+              return cursor ? this.withNextCursor(finalResponse, response, cursor) : finalResponse;
           })
-          .then((response) => {
-              this.eventEmitter.emit(eventName, {headers, queryData: input, queryLanguages: null, queryResult: response});
+          .then(response => ({response, responsePostProcessor}));
+    }
 
-              if (responsePostProcessor && input.format === 'custom') {
-                  return responsePostProcessor(response);
-              }
+    // input is relaxed by each step in turn (on top of previous steps), till its search has results. response tells the
+    // step that found them, and the text searched, as in: {fallback: {type: 'spelling', text: 'nike shoes'}}
+    withFallback(headers, input, searchApiConfig, eventName, searchResponse) {
+        const steps = fallbackSteps(input, searchApiConfig, searchResponse.response);
+        if (_.isEmpty(steps)) {
+            return searchResponse;
+        }
 
-              return response;
-          });
+        let relaxedInput = input;
+
+        const relaxedInputOf = (step) => {
+            if (step.type !== SPELLING_STEP) {
+                return relaxInput(step, relaxedInput);
+            }
+
+            if (!relaxedInput.text) {
+                return null;
+            }
+
+            return this.spellingSuggestions(headers, searchApiConfig.types, relaxedInput.type, relaxedInput.text, 1)
+              .then(({suggestions}) => (_.isEmpty(suggestions) ? null : _.defaults({text: suggestions[0].text}, relaxedInput)));
+        };
+
+        return Promise.reduce(steps, (finalResponse, step) => {
+            if (finalResponse) {
+                return finalResponse;
+            }
+
+            return Promise.resolve(relaxedInputOf(step))
+              .then((stepInput) => {
+                  if (!stepInput) {
+                      return null;
+                  }
+
+                  relaxedInput = stepInput;
+
+                  return this._searchResponse(headers, stepInput, searchApiConfig, eventName)
+                    .then((stepResponse) => {
+                        if (_.get(stepResponse, 'response.totalResults', 0) === 0) {
+                            return null;
+                        }
+
+                        _.extend(stepResponse.response, {fallback: {type: step.type, text: stepInput.text}});
+                        return stepResponse;
+                    });
+              });
+        }, null)
+          .then(finalResponse => finalResponse || searchResponse);
     }
 
     // build
@@ -1561,7 +2315,7 @@ class SearcherInternal {
         // console.log('Intent Query: ', JSON.stringify(intentQuery, null, 2));
 
         // form the request and get a response
-        return Promise.resolve(this.esClient.intent(intentIndex, intentQuery));
+        return Promise.resolve(this.esClient.intent(intentIndex, intentQuery, this.requestLogger(headers)));
     }
 
     intent(headers, input) {
@@ -1710,55 +2464,6 @@ class SearcherInternal {
         };
     }
 
-    searchCarDekhoBrand(intentSuggestions) {
-        return this.intentSuggestionListQuery(intentSuggestions, 'new_car_brand', 'brand');
-    }
-
-    searchCarDekhoModel(intentSuggestions) {
-        return this.intentSuggestionListQuery(intentSuggestions, 'new_car_model', 'model');
-    }
-
-    searchCarDekhoVariant(intentSuggestions) {
-        return this.intentSuggestionListQuery(intentSuggestions, 'new_car_variant', 'variant');
-    }
-
-    searchUsedCarsByIntentSuggestions(intentSuggestions, field) {
-        return this.intentSuggestionListQuery(intentSuggestions, 'used_car', field);
-    }
-
-    searchNewsByIntentSuggestions(intentSuggestions, field) {
-        return this.intentSuggestionListQuery(intentSuggestions, 'car_news', field);
-    }
-
-    searchNewCarDealersByIntentSuggestions(intentSuggestions, field) {
-        return this.intentSuggestionListQuery(intentSuggestions, 'new_car_dealer', field);
-    }
-
-    // eslint-disable-next-line class-methods-use-this
-    searchUsedCarsByMatchingBrands() {
-
-    }
-
-    // eslint-disable-next-line class-methods-use-this
-    searchUsedCarsByMatchingModelsOrBrands() {
-
-    }
-
-    // eslint-disable-next-line class-methods-use-this
-    searchNewsByMatchingBrands() {
-
-    }
-
-    // eslint-disable-next-line class-methods-use-this
-    searchNewsByMatchingModels() {
-
-    }
-
-    // eslint-disable-next-line class-methods-use-this
-    searchNewCarDealersByMatchingBrands() {
-
-    }
-
     // eslint-disable-next-line class-methods-use-this
     buildSection(sectionResponseOrPromise, sectionName, resultType, sectionTitle, sorter) {
         return Promise.resolve(sectionResponseOrPromise)
@@ -1786,315 +2491,334 @@ class SearcherInternal {
           });
     }
 
-    _multiSearch(queries, input) {
-        return Promise.resolve(this.esClient.multiSearch(queries))
+    _multiSearch(queries, input, headers) {
+        return Promise.resolve(this.esClient.multiSearch(queries, this.requestLogger(headers)))
           .then(response => this.processMultipleSearchResponseAsArray(response, this.searchConfig.search.types, _.map(queries, obj => obj.type), input));
     }
 
     // eslint-disable-next-line class-methods-use-this
-    newCarsQuery(headers, input, searchApiConfig) {
-        return Promise.resolve(this._queryInternal(headers, _.defaults({type: ['new_car_model', 'new_car_variant'], flat: true}, input), searchApiConfig))
-          .then(response => response.queryOrArray);
+    sectionInput(sectionConfig, input, overview) {
+        const types = _.castArray(sectionConfig.types);
+
+        return _.extend({}, input, {
+            type: types.length === 1 ? types[0] : types,
+            flat: types.length > 1,
+            count: (overview && sectionConfig.count) || input.count,
+            sort: input.sort || sectionConfig.sort,
+            filter: _.extend({}, input.filter, sectionConfig.filter)
+        });
     }
 
     // eslint-disable-next-line class-methods-use-this
-    usedCarsQuery(headers, input, searchApiConfig) {
-        return Promise.resolve(this._queryInternal(headers, _.defaults({type: 'used_car'}, input), searchApiConfig))
-          .then(response => response.queryOrArray);
+    sectionResultType(sectionConfig, sectionName) {
+        const types = _.castArray(sectionConfig.types);
+        return sectionConfig.resultType || (types.length === 1 ? types[0] : sectionName);
     }
 
-    // eslint-disable-next-line class-methods-use-this
-    carNewsQuery(headers, input, searchApiConfig) {
-        return Promise.resolve(this._queryInternal(headers, _.defaults({type: 'car_news'}, input), searchApiConfig))
-          .then(response => response.queryOrArray);
+    // processes search response of a query built by _queryInternal
+    processQueryResponse(response, queryResponse, input, searchApiConfig) {
+        const responseInput = _.defaults({normalizedText: queryResponse.normalizedText}, input);
+
+        if (queryResponse.flat) {
+            return this.processFlatSearchResponse(response, searchApiConfig.types, responseInput, Constants.SEARCH_EVENT);
+        }
+
+        return this.processSingleSearchResponse(response, searchApiConfig.types, queryResponse.typeOrTypesArray, responseInput, Constants.SEARCH_EVENT);
     }
 
-    // eslint-disable-next-line class-methods-use-this
-    // newCarDealersQuery(headers, input, searchApiConfig) {
-    //     return Promise.resolve(this._queryInternal(headers, _.defaults({type: 'new_car_dealer'}, input), searchApiConfig))
-    //       .then(response => response.queryOrArray);
-    // }
+    // builds queries of all configured sections, in order of section names
+    sectionQueries(headers, input, searchApiConfig) {
+        const sectionConfigs = searchApiConfig.sections;
+        const sectionNames = _.keys(sectionConfigs);
+        const sectionInputs = _.map(sectionNames, sectionName => this.sectionInput(sectionConfigs[sectionName], input, true));
 
-    // eslint-disable-next-line class-methods-use-this
-    sortNewCarResults(results) {
-        // eslint-disable-next-line no-confusing-arrow
-        return _.sortBy(results, result => -1.0 * result._score, result => result._type === 'new_car_model' ? 0 : 1);
+        return Promise.all(_.map(sectionInputs, sectionInput => this._queryInternal(headers, sectionInput, searchApiConfig)))
+          .then(queryResponses => ({sectionNames, sectionInputs, queryResponses}));
     }
 
-    // eslint-disable-next-line class-methods-use-this
-    searchNewCars(headers, input, searchApiConfig) {
-        return Promise.resolve(this._queryInternal(headers, _.defaults({type: ['new_car_model', 'new_car_variant'], flat: true}, input), searchApiConfig))
-          .then(response => this._searchInternal(headers, input, searchApiConfig, Constants.SEARCH_EVENT, response))
-          .then(response => _.defaults({type: 'new_car', resultType: 'new_car', results: this.sortNewCarResults(response.results)}, response));
+    // searches all configured sections in one multi search, and composes them into sectioned response
+    searchSections(headers, input, searchApiConfig) {
+        const sectionConfigs = searchApiConfig.sections;
+
+        let sectionNames = null;
+        let sectionInputs = null;
+        let queryResponses = null;
+
+        return Promise.resolve(this.sectionQueries(headers, input, searchApiConfig))
+          .then((sectionQueries) => {
+              ({sectionNames, sectionInputs, queryResponses} = sectionQueries);
+              return this.esClient.multiSearch(_.map(queryResponses, queryResponse => queryResponse.queryOrArray), this.requestLogger(headers));
+          })
+          .then(multiResponse => this.composeSections(..._.map(sectionNames, (sectionName, index) => {
+              const sectionConfig = sectionConfigs[sectionName];
+              const sectionResponse = this.processQueryResponse(_.get(multiResponse, ['responses', index]), queryResponses[index], sectionInputs[index], searchApiConfig);
+
+              return this.buildSection(sectionResponse, sectionName, this.sectionResultType(sectionConfig, sectionName), sectionConfig.title, sectionConfig.sorter);
+          })))
+          .then((response) => {
+              this.emitSearchEvent(Constants.SEARCH_EVENT, headers, input, response);
+
+              return response;
+          });
     }
 
-    // eslint-disable-next-line class-methods-use-this
-    searchUsedCars(headers, input, searchApiConfig) {
-        return Promise.resolve(this._queryInternal(headers, _.defaults({type: 'used_car'}, input), searchApiConfig))
-          .then(response => this._searchInternal(headers, input, searchApiConfig, Constants.SEARCH_EVENT, response));
+    searchSection(headers, input, searchApiConfig, sectionName) {
+        const sectionConfig = searchApiConfig.sections[sectionName];
+        if (!sectionConfig) {
+            throw new ValidationError(`No section config found for: ${sectionName}`, {details: {code: 'SECTION_CONFIG_NOT_FOUND', section: sectionName}});
+        }
+
+        const resultType = this.sectionResultType(sectionConfig, sectionName);
+
+        return Promise.resolve(this._searchInternal(headers, this.sectionInput(sectionConfig, input, false), searchApiConfig, Constants.SEARCH_EVENT))
+          .then(response => _.defaults({
+              type: resultType,
+              resultType,
+              section: sectionName,
+              title: sectionConfig.title,
+              results: sectionConfig.sorter ? sectionConfig.sorter(response.results) : response.results
+          }, response));
+    }
+
+    searchWithoutIntent(headers, input, searchApiConfig) {
+        if (searchApiConfig.sections) {
+            return this.searchSections(headers, input, searchApiConfig);
+        }
+
+        return this._searchInternal(headers, input, searchApiConfig, Constants.SEARCH_EVENT);
     }
 
+    // finds first intent route whose intent class has suggestions for the text
     // eslint-disable-next-line class-methods-use-this
-    searchCarNews(headers, input, searchApiConfig) {
-        return Promise.resolve(this._queryInternal(headers, _.defaults({type: 'car_news'}, input), searchApiConfig))
-          .then(response => this._searchInternal(headers, input, searchApiConfig, Constants.SEARCH_EVENT, response));
+    matchIntentRoute(intentResponse, intentRoutes) {
+        // get the first result for now
+        const intentResult = _.first(_.get(intentResponse, 'results'));
+        if (!intentResult) {
+            return null;
+        }
+
+        let matchedRoute = null;
+        _.forEach(intentRoutes, (intentRoute) => {
+            const intentSuggestions = _.get(intentResult, ['intent_classes', intentRoute.intentClass]);
+            if (intentSuggestions && !_.isEmpty(intentSuggestions)) {
+                matchedRoute = {intentRoute, intentSuggestions};
+                return false;
+            }
+
+            return true;
+        });
+
+        return matchedRoute;
     }
 
     // eslint-disable-next-line class-methods-use-this
-    searchNewCarDealers(headers, input, searchApiConfig) {
-        return Promise.resolve(this._queryInternal(headers, _.defaults({type: 'new_car_dealer'}, input), searchApiConfig))
-          .then(response => this._searchInternal(headers, input, searchApiConfig, Constants.SEARCH_EVENT, response));
+    intentRuleMatches(intentRule, probeHits) {
+        const hits = probeHits[intentRule.probe] || 0;
+
+        if (_.isNumber(intentRule.hits)) {
+            return hits === intentRule.hits;
+        } else if (intentRule.hits === Constants.NO_HITS) {
+            return hits === 0;
+        } else if (intentRule.hits === Constants.SINGLE_HIT) {
+            return hits === 1;
+        } else if (intentRule.hits === Constants.MULTIPLE_HITS) {
+            return hits > 1;
+        }
+
+        // any hits
+        return hits > 0;
     }
 
-    searchWithoutIntent(headers, input, searchApiConfig) {
-        return this._multiSearch([
-            this.newCarsQuery(headers, input, searchApiConfig),
-            this.usedCarsQuery(headers, input, searchApiConfig),
-            this.carNewsQuery(headers, input, searchApiConfig),
-            // this.newCarDealersQuery(headers, input, searchApiConfig),
-        ], input)
-          .then(multiResponse => this.composeSections(
-            this.buildSection(_.get(multiResponse, 'results[0]'), 'new_car', 'new_car', 'New Cars', this.sortNewCarResults),
-            this.buildSection(_.get(multiResponse, 'results[1]'), 'used-cars', 'used_car', 'Used Cars'),
-            this.buildSection(_.get(multiResponse, 'results[2]'), 'news', 'car_news', 'News')
-            // this.buildSection(_.get(multiResponse, 'results[3]'), 'new-car-dealers', 'new_car_dealer', 'New Car Dealers')
-          ));
-    }
-
-    carDekhoIntentBasedSearch(intentSuggestions, headers, input, searchApiConfig) {
-        const typeDecipherQueries = [
-            this.searchCarDekhoBrand(intentSuggestions),
-            this.searchCarDekhoModel(intentSuggestions),
-            this.searchCarDekhoVariant(intentSuggestions)
-        ];
-
-        return Promise.resolve(this._multiSearch(typeDecipherQueries, input))
-          .then((response) => {
-              // check if brand result and how many
-              // else check if model result and how many
-              // else check if variant results and how many
-              const brandHits = _.get(response, 'results[0].totalResults', 0);
-              const modelHits = _.get(response, 'results[1].totalResults', 0);
-              const variantHits = _.get(response, 'results[2].totalResults', 0);
-
-              let searchType = null;
-              if (brandHits) {
-                  if (brandHits === 1) {
-                      searchType = 'brand-single';
-                  } else {
-                      searchType = 'brand-multi';
-                  }
-              } else if (modelHits) {
-                  if (modelHits === 1) {
-                      searchType = 'model-single';
-                  } else {
-                      searchType = 'model-multi';
-                  }
-              } else if (variantHits) {
-                  if (variantHits === 1) {
-                      searchType = 'variant-single';
-                  } else {
-                      searchType = 'variant-multi';
+    // builds sections of matched rule, sections that are not from probe results are searched in one multi search
+    intentRuleSections(intentRule, intentSuggestions, probeResults, headers, input, searchApiConfig) {
+        const sectionInputs = _.map(intentRule.sections, (sectionRule) => {
+            if (sectionRule.section) {
+                return this.sectionInput(searchApiConfig.sections[sectionRule.section], input, true);
+            }
+
+            return input;
+        });
+
+        const queryPromises = _.map(intentRule.sections, (sectionRule, index) => {
+            if (sectionRule.probe) {
+                return null;
+            } else if (sectionRule.section) {
+                return this._queryInternal(headers, sectionInputs[index], searchApiConfig);
+            }
+
+            return {
+                queryOrArray: this.intentSuggestionListQuery(intentSuggestions, sectionRule.type, sectionRule.field),
+                typeOrTypesArray: sectionRule.type
+            };
+        });
+
+        let queryResponses = null;
+
+        return Promise.all(queryPromises)
+          .then((responses) => {
+              queryResponses = responses;
+
+              const queries = _(queryResponses)
+                .filter(queryResponse => !!queryResponse)
+                .map(queryResponse => queryResponse.queryOrArray)
+                .value();
+
+              return _.isEmpty(queries) ? null : this.esClient.multiSearch(queries, this.requestLogger(headers));
+          })
+          .then((multiResponse) => {
+              let responseIndex = 0;
+
+              return this.composeSections(..._.map(intentRule.sections, (sectionRule, index) => {
+                  const sectionConfig = (sectionRule.section && searchApiConfig.sections[sectionRule.section]) || {};
+                  const title = sectionRule.title || sectionConfig.title;
+                  const sorter = sectionRule.sorter || sectionConfig.sorter;
+
+                  if (sectionRule.probe) {
+                      return this.buildSection(probeResults[sectionRule.probe], sectionRule.name, sectionRule.resultType || sectionRule.name, title, sorter);
                   }
-              }
 
-              if (!searchType) {
+                  const response = _.get(multiResponse, ['responses', responseIndex]);
+                  responseIndex += 1;
+
+                  const resultType = sectionRule.resultType
+                    || (sectionRule.section ? this.sectionResultType(sectionConfig, sectionRule.section) : sectionRule.type);
+
+                  return this.buildSection(this.processQueryResponse(response, queryResponses[index], sectionInputs[index], searchApiConfig), sectionRule.name, resultType, title, sorter);
+              }));
+          });
+    }
+
+    // routes search as per first matching rule of intent routing, on hits of probe queries made with intent suggestions
+    intentRoutedSearch(headers, input, searchApiConfig) {
+        return Promise.resolve(this._intentInternal(headers, input, searchApiConfig))
+          .then((intentResponse) => {
+              const matchedRoute = this.matchIntentRoute(intentResponse, searchApiConfig.intentRouting);
+              if (!matchedRoute) {
                   return this.searchWithoutIntent(headers, input, searchApiConfig);
               }
 
-              if (searchType === 'brand-single') {
-                  // model search for brand
-                  // used car search for brand
-                  // news search for brand
-                  // new car dealers for brand
-
-                  return Promise.resolve(this._multiSearch([
-                      this.searchUsedCarsByIntentSuggestions(intentSuggestions, 'brand'),
-                      this.searchNewsByIntentSuggestions(intentSuggestions, 'brand'),
-                      this.searchNewCarDealersByIntentSuggestions(intentSuggestions, 'brand')
-                  ], input))
-                    .then(sectionResponses => this.composeSections(
-                      this.buildSection(_.get(response, 'results[1]'), 'new_car', 'new_car', 'New Cars'),
-                      this.buildSection(_.get(sectionResponses, 'results[0]'), 'used-cars', 'used_car', 'Used Cars'),
-                      this.buildSection(_.get(sectionResponses, 'results[1]'), 'news', 'car_news', 'News'),
-                      this.buildSection(_.get(sectionResponses, 'results[2]'), 'new-car-dealers', 'new_car_dealer', 'New Car Dealers')
-                    ));
-              } else if (searchType === 'brand-multi') {
-                  // matching brands
-                  // used car search for matching brands
-                  // news search for matching brands
-                  // new car dealers for matching brands
-
-                  return Promise.resolve(this._multiSearch([
-                      this.searchUsedCarsByIntentSuggestions(intentSuggestions, 'brand'),
-                      this.searchNewsByIntentSuggestions(intentSuggestions, 'brand'),
-                      this.searchNewCarDealersByIntentSuggestions(intentSuggestions, 'brand')
-                  ], input))
-                    .then(sectionResponses => this.composeSections(
-                      this.buildSection(_.get(response, 'results[0]'), 'new_car', 'new_car', 'New Cars'),
-                      this.buildSection(_.get(sectionResponses, 'results[0]'), 'used-cars', 'used_car', 'Used Cars'),
-                      this.buildSection(_.get(sectionResponses, 'results[1]'), 'news', 'car_news', 'News'),
-                      this.buildSection(_.get(sectionResponses, 'results[2]'), 'new-car-dealers', 'new_car_dealer', 'New Car Dealers')
-                    ));
-              } else if (searchType === 'model-single') {
-                  // matching single model
-                  // variants for matching model
-                  // used cars for matching model or brand of the matching model
-                  // news for matching model or brand of the matching model
-                  // new car dealers for brand of the matching model
-
-                  return Promise.resolve(this._multiSearch([
-                      this.newCarsQuery(headers, input, searchApiConfig),
-                      this.searchUsedCarsByIntentSuggestions(intentSuggestions, 'model'),
-                      this.searchNewsByIntentSuggestions(intentSuggestions, 'model'),
-                      this.searchNewCarDealersByIntentSuggestions(intentSuggestions, 'brand')
-                  ], input))
-                    .then(sectionResponses => this.composeSections(
-                      this.buildSection(_.get(sectionResponses, 'results[0]'), 'new_car', 'new_car', 'New Cars', this.sortNewCarResults),
-                      this.buildSection(_.get(sectionResponses, 'results[1]'), 'used-cars', 'used_car', 'Used Cars'),
-                      this.buildSection(_.get(sectionResponses, 'results[2]'), 'news', 'car_news', 'News'),
-                      this.buildSection(_.get(sectionResponses, 'results[3]'), 'new-car-dealers', 'new_car_dealer', 'New Car Dealers')
-                    ));
-              } else if (searchType === 'model-multi') {
-                  // matching models
-                  // used cars for matching models or brand of the matching models
-                  // news for matching models or brand of the matching models
-                  // new car dealers for brand of the matching models
-
-                  return Promise.resolve(this._multiSearch([
-                      this.searchUsedCarsByIntentSuggestions(intentSuggestions, 'model'),
-                      this.searchNewsByIntentSuggestions(intentSuggestions, 'model'),
-                      this.searchNewCarDealersByIntentSuggestions(intentSuggestions, 'brand')
-                  ], input))
-                    .then(sectionResponses => this.composeSections(
-                      this.buildSection(_.get(response, 'results[1]'), 'new_car', 'new_car', 'New Cars'),
-                      this.buildSection(_.get(sectionResponses, 'results[0]'), 'used-cars', 'used_car', 'Used Cars'),
-                      this.buildSection(_.get(sectionResponses, 'results[1]'), 'news', 'car_news', 'News'),
-                      this.buildSection(_.get(sectionResponses, 'results[2]'), 'new-car-dealers', 'new_car_dealer', 'New Car Dealers')
-                    ));
-              } else if (searchType === 'variant-single') {
-                  // matching single variant
-                  // similar variants
-                  // used cars for models of the matching variant
-                  // news for models of the matching variant
-                  // new car dealers for brand of the matching variant
-
-                  return Promise.resolve(this._multiSearch([
-                      this.searchUsedCarsByIntentSuggestions(intentSuggestions, 'model'),
-                      this.searchNewsByIntentSuggestions(intentSuggestions, 'model'),
-                      this.searchNewCarDealersByIntentSuggestions(intentSuggestions, 'brand')
-                  ], input))
-                    .then(sectionResponses => this.composeSections(
-                      this.buildSection(_.get(response, 'results[2]'), 'new_car', 'new_car', 'New Cars'),
-                      this.buildSection(_.get(sectionResponses, 'results[0]'), 'used-cars', 'used_car', 'Used Cars'),
-                      this.buildSection(_.get(sectionResponses, 'results[1]'), 'news', 'car_news', 'News'),
-                      this.buildSection(_.get(sectionResponses, 'results[2]'), 'new-car-dealers', 'new_car_dealer', 'New Car Dealers')
-                    ));
-              } //else /*if (searchType === 'variant-multi')*/ {
-              // matching variants
-              // used cars for models of the matching variants
-              // news for models of the matching variants
-              // new car dealers for brand of the matching variants
-
-              return Promise.resolve(this._multiSearch([
-                  this.searchUsedCarsByIntentSuggestions(intentSuggestions, 'model'),
-                  this.searchNewsByIntentSuggestions(intentSuggestions, 'model'),
-                  this.searchNewCarDealersByIntentSuggestions(intentSuggestions, 'brand')
-              ], input))
-                .then(sectionResponses => this.composeSections(
-                  this.buildSection(_.get(response, 'results[2]'), 'new_car', 'new_car', 'New Cars'),
-                  this.buildSection(_.get(sectionResponses, 'results[0]'), 'used-cars', 'used_car', 'Used Cars'),
-                  this.buildSection(_.get(sectionResponses, 'results[1]'), 'news', 'car_news', 'News'),
-                  this.buildSection(_.get(sectionResponses, 'results[2]'), 'new-car-dealers', 'new_car_dealer', 'New Car Dealers')
-                ));
-              //}
+              const {intentRoute, intentSuggestions} = matchedRoute;
+              const probeNames = _.keys(intentRoute.probes);
+
+              const probeQueries = _.map(probeNames, (probeName) => {
+                  const probe = intentRoute.probes[probeName];
+                  return this.intentSuggestionListQuery(intentSuggestions, probe.type, probe.field);
+              });
+
+              return Promise.resolve(this._multiSearch(probeQueries, input, headers))
+                .then((probeResponse) => {
+                    const probeResults = _.zipObject(probeNames, _.get(probeResponse, 'results', []));
+                    const probeHits = _.mapValues(probeResults, probeResult => _.get(probeResult, 'totalResults', 0));
+
+                    const intentRule = _.find(intentRoute.rules, rule => this.intentRuleMatches(rule, probeHits));
+                    if (!intentRule) {
+                        return this.searchWithoutIntent(headers, input, searchApiConfig);
+                    }
+
+                    return Promise.resolve(this.intentRuleSections(intentRule, intentSuggestions, probeResults, headers, input, searchApiConfig))
+                      .then((response) => {
+                          this.emitSearchEvent(Constants.SEARCH_EVENT, headers, input, response);
+
+                          return response;
+                      });
+                });
           });
     }
 
     search(headers, input) {
         const validatedInput = this.validateInput(input, this.apiSchema.search);
+        const searchApiConfig = this.searchConfig.search;
 
-        if ((this.instanceName === 'carDekho' || this.instanceName === 'carDekhoV2') && validatedInput.section === 'new_car_dealer') {
-            return this.searchNewCarDealers(headers, validatedInput, this.searchConfig.search);
-        } else if ((this.instanceName === 'carDekho' || this.instanceName === 'carDekhoV2') && validatedInput.section === 'car_news') {
-            return this.searchCarNews(headers, validatedInput, this.searchConfig.search);
-        } else if ((this.instanceName === 'carDekho' || this.instanceName === 'carDekhoV2') && validatedInput.section === 'used_car') {
-            return this.searchUsedCars(headers, validatedInput, this.searchConfig.search);
-        } else if ((this.instanceName === 'carDekho' || this.instanceName === 'carDekhoV2') && validatedInput.section === 'new_car') {
-            return this.searchNewCars(headers, validatedInput, this.searchConfig.search);
-        } else if ((this.instanceName === 'carDekho' || this.instanceName === 'carDekhoV2') && (!validatedInput.type || validatedInput.type === '*')) {
-            return Promise.resolve(this._intentInternal(headers, validatedInput, this.searchConfig.search))
-              .then((response) => {
-                  if (_.isEmpty(response.results)) {
-                      return this.searchWithoutIntent(headers, validatedInput, this.searchConfig.search);
-                  }
+        return Promise.resolve(this.searchResponse(headers, input, validatedInput, searchApiConfig))
+          .then(response => this.withDidYouMean(headers, validatedInput, searchApiConfig, response));
+    }
 
-                  // get the first result for now
-                  const intentResult = _.first(response.results);
-                  const intentSuggestions = _.get(intentResult, ['intent_classes', 'car_name']);
-                  if (!intentSuggestions || _.isEmpty(intentSuggestions)) {
-                      return this.searchWithoutIntent(headers, validatedInput, this.searchConfig.search);
-                  }
+    searchResponse(headers, input, validatedInput, searchApiConfig) {
+        if (searchApiConfig.sections && validatedInput.section && validatedInput.section !== '*') {
+            return this.searchSection(headers, validatedInput, searchApiConfig, validatedInput.section);
+        }
 
-                  // make a query for brand, model, or variant
-                  return this.carDekhoIntentBasedSearch(intentSuggestions, headers, validatedInput, this.searchConfig.search);
+        // intent routing and sections apply, unless a type is asked for explicitly, or results are paged by cursor
+        if (!validatedInput.cursor && (!input.type || input.type === '*')) {
+            if (searchApiConfig.intentRouting) {
+                return this.intentRoutedSearch(headers, validatedInput, searchApiConfig);
+            }
+
+            return this.searchWithoutIntent(headers, validatedInput, searchApiConfig);
+        }
+
+        return this._searchInternal(headers, validatedInput, searchApiConfig, Constants.SEARCH_EVENT);
+    }
+
+    // term and phrase suggesters on query fields of types, and on past search queries. fields matched only in
+    // vernacular, or within nested paths, are left out.
+    spellingQueries(searchTypeConfigs, type, text, count) {
+        let typeConfigs = (!type || type === '*') ? _.values(searchTypeConfigs) : _.values(_.pick(searchTypeConfigs, type));
+
+        const searchQueryTypeConfig = _.get(this.searchConfig, ['autocomplete', 'types', 'searchQuery']);
+        if (searchQueryTypeConfig) {
+            typeConfigs = _.union(typeConfigs, [searchQueryTypeConfig]);
+        }
+
+        // one request by index and text, as types of an index may preprocess text alike
+        return _(typeConfigs)
+          .map(typeConfig => ({
+              index: typeConfig.indexType.index,
+              text: this.preprocessTypeText(typeConfig, text),
+              fields: _(typeConfig.queryFields || typeConfig.indexType.queryFields)
+                .reject(queryField => queryField.vernacularOnly || queryField.nestedPath)
+                .map('field')
+                .value()
+          }))
+          .groupBy(spellingQuery => `${spellingQuery.index}:${spellingQuery.text}`)
+          .map(spellingQueries => _.defaults({fields: _.uniq(_.flatMap(spellingQueries, 'fields'))}, spellingQueries[0]))
+          .filter(spellingQuery => !_.isEmpty(spellingQuery.fields))
+          .map((spellingQuery) => {
+              const suggest = {text: spellingQuery.text};
+
+              _.forEach(spellingQuery.fields, (field) => {
+                  suggest[`term_${field}`] = {term: {field, suggest_mode: 'popular', sort: 'frequency', min_word_length: 3}};
+                  suggest[`phrase_${field}`] = {
+                      phrase: {field, size: count, max_errors: 2, direct_generator: [{field, suggest_mode: 'always', min_word_length: 3}]}
+                  };
               });
-        } else if (this.instanceName === 'netmeds' && (!validatedInput.section || validatedInput.section === '*')) {
-            // create two queries (a) for prescribed (b) for non-prescribed
-            // combine them in sections
-            // TODO: convert this to multi query
-            return this.composeSections(
-              this.buildSection(this._searchInternal(headers, _.defaultsDeep({
-                  bareResponse: true,
-                  filter: {prescription: true}
-              }, validatedInput), this.searchConfig.search, Constants.SEARCH_EVENT), 'prescription', 'product', 'PRESCRIPTION'),
-              this.buildSection(this._searchInternal(headers, _.defaultsDeep({
-                  bareResponse: true,
-                  filter: {prescription: false}
-              }, validatedInput), this.searchConfig.search, Constants.SEARCH_EVENT), 'non_prescription', 'product', 'NON PRESCRIPTIONS')
-            );
-        } else if (this.instanceName === 'netmeds' && validatedInput.section === 'prescription') {
-            return this._searchInternal(headers, _.defaultsDeep({filter: {prescription: true}}, validatedInput), this.searchConfig.search, Constants.SEARCH_EVENT);
-        } else if (this.instanceName === 'netmeds' && validatedInput.section === 'non_prescription') {
-            return this._searchInternal(headers, _.defaultsDeep({filter: {prescription: false}}, validatedInput), this.searchConfig.search, Constants.SEARCH_EVENT);
-        }
-
-        return this._searchInternal(headers, validatedInput, this.searchConfig.search, Constants.SEARCH_EVENT);
+
+              return _.extend(spellingQuery, {query: {index: spellingQuery.index, search: {size: 0, suggest}}});
+          })
+          .value();
     }
 
-    // eslint-disable-next-line class-methods-use-this
-    didYouMean(/*headers, input*/) {
-        // const validatedInput = this.validateInput(input, this.apiSchema.didYouMean);
-        //
-        // const types = this.searchConfig.types;
-        //
-        // let index = null;
-        // if (!input.type || input.type === '*') {
-        //     index = _(types)
-        //       .map(typeConfig => typeConfig.index)
-        //       .filter(indexName => !indexName.match(/search_query_store/))
-        //       .join(',');
-        // } else {
-        //     const typeConfig = types[input.type];
-        //     if (!typeConfig) {
-        //         throw new ValidationError(`No type config found for: ${input.type}`, {details: {code: 'TYPE_CONFIG_NOT_FOUND', type: input.type}});
-        //     }
-        //
-        //     index = typeConfig.index;
-        // }
-        //
-        // let text = validatedInput.text;
-        // if ((this.instanceName === '1mg' || this.instanceName === 'netmeds') && text) {
-        //     // fix text
-        //     text = _(text)
-        //       .replace(/(^|[\s]|[^0-9]|[^a-z])([0-9]+)[\s]+(mg|mcg|ml|%)/gi, '$1$2$3')
-        //       .replace(/(^|[\s]|[^0-9]|[^a-z])\.([0-9]+)[\s]*(mg|mcg|ml|%)/gi, '$10.$2$3')
-        //       .replace(/([0-9]+)'S$/gi, '$1S')
-        //       .trim();
-        // }
-        //
-        // return Promise.resolve(this.esClient.didYouMean(index, text));
-        return null;
+    // text is normalized as for search, before it is corrected
+    spellingSuggestions(headers, searchTypeConfigs, type, text, count) {
+        const normalizedText = this.preprocessText(text);
+        const logger = this.requestLogger(headers);
+
+        return Promise.map(this.spellingQueries(searchTypeConfigs, type, normalizedText, count),
+          spellingQuery => this.esClient.search(spellingQuery.query, logger)
+            .then(response => ({response, fields: spellingQuery.fields, text: spellingQuery.text})))
+          .then(responses => ({text, normalizedText, suggestions: spellingSuggestions(responses, normalizedText, count)}));
+    }
+
+    didYouMean(headers, input) {
+        const validatedInput = this.validateInput(input, this.apiSchema.didYouMean);
+
+        return this.spellingSuggestions(headers, this.searchConfig.autocomplete.types, validatedInput.type, validatedInput.text, validatedInput.count);
+    }
+
+    // with didYouMean in search config, a search with few or no results carries corrections of its text, failing which
+    // search response is still returned
+    withDidYouMean(headers, input, searchApiConfig, response) {
+        const didYouMeanConfig = searchApiConfig.didYouMean;
+        if (!didYouMeanConfig || !response || !_.isNumber(response.totalResults) || response.totalResults > (didYouMeanConfig.maxResults || 0)) {
+            return response;
+        }
+
+        return this.spellingSuggestions(headers, searchApiConfig.types, input.type, input.text, didYouMeanConfig.count || DEFAULT_DID_YOU_MEAN_COUNT)
+          .then(({suggestions}) => _.extend(response, {didYouMean: suggestions}))
+          .catch((error) => {
+              this.requestLogger(headers).warn('Error in did you mean', {error});
+              return response;
+          });
     }
 
     suggestedQueries(headers, input) {
@@ -2109,33 +2833,18 @@ class SearcherInternal {
                   const relevancyScores = [];
                   _.forEach(response.results, (resultGroup) => {
                       _.forEach(resultGroup.results, (result) => {
-                          result._relevancyScore = result._score / (result._weight || 1.0);
+                          result._relevancyScore = relevancyScore(result);
                           relevancyScores.push(result._relevancyScore);
                       });
                   });
 
-                  // order scores in descending order
-                  relevancyScores.sort((scoreA, scoreB) => scoreB - scoreA);
-
-                  // find deflection point
-                  let previousScore = 0;
-                  let deflectionScore = 0;
-                  _.forEach(relevancyScores, (score) => {
-                      if (previousScore && score < 0.5 * previousScore) {
-                          deflectionScore = previousScore;
-                          return false;
-                      }
-
-                      previousScore = score;
-
-                      return true;
-                  });
+                  const deflection = deflectionScore(relevancyScores);
 
                   // consider items till the deflection point
                   const results = [];
                   _.forEach(response.results, (resultGroup) => {
                       _.forEach(resultGroup.results, (result) => {
-                          if (result._relevancyScore >= deflectionScore) {
+                          if (result._relevancyScore >= deflection) {
                               results.push(result);
                           }
                       });
@@ -2150,7 +2859,124 @@ class SearcherInternal {
           });
     }
 
-    _explain(api, input) {
+    registerMetrics() {
+        this.requestLatency = this.metrics.histogram('request_duration_seconds', 'Time taken by searcher APIs', ['api', 'type']);
+        this.requestErrors = this.metrics.counter('request_errors_total', 'Failed searcher requests by error code', ['api', 'code']);
+        this.zeroResults = this.metrics.counter('zero_results_total', 'Searcher responses without results', ['api', 'type']);
+        this.responseSize = this.metrics.histogram('response_size_bytes', 'Size of a sample of searcher responses as JSON', ['api'], SIZE_BUCKETS);
+    }
+
+    // only configured types are used as label, so that bad input does not blow up number of series
+    metricType(input) {
+        const type = input && input.type;
+        if (type && (_.has(this.searchConfig.types, type) || _.has(this.searchConfig.views && this.searchConfig.views.types, type))) {
+            return type;
+        }
+
+        return '*';
+    }
+
+    observeRequest(api, input, took, response, error) {
+        const type = this.metricType(input);
+
+        this.requestLatency.observe({api, type}, took / 1000);
+
+        if (error) {
+            this.requestErrors.inc({api, code: error._errorCode || 'UNKNOWN'});
+            return;
+        }
+
+        if (_.isPlainObject(response) && response.totalResults === 0) {
+            this.zeroResults.inc({api, type});
+        }
+
+        // size of streamed response is not known upfront
+        if (!_.isUndefined(response) && !(response instanceof Readable) && Math.random() < this.responseSizeSampleRate) {
+            this.responseSize.observe({api}, Buffer.byteLength(_.isString(response) ? response : JSON.stringify(response)));
+        }
+    }
+
+    exposeMetrics() {
+        return this.metrics.expose();
+    }
+
+    // logs of a request carry its id, as carried in headers
+    requestLogger(headers) {
+        return this.logger.child({requestId: headers && headers[REQUEST_ID_HEADER]});
+    }
+
+    // events carry request id too, to correlate them with logs
+    emitSearchEvent(eventName, headers, input, response) {
+        this.eventEmitter.emit(eventName, {requestId: headers && headers[REQUEST_ID_HEADER], headers, queryData: input, queryLanguages: null, queryResult: response});
+    }
+
+    cacheStats() {
+        return this.esClient.cacheStats();
+    }
+
+    circuitBreakerStats() {
+        return this.esClient.circuitBreakerStats();
+    }
+
+    nodeStats() {
+        return this.esClient.nodeStats();
+    }
+
+    // while ES is unhealthy, results might have been served stale from cache, which response tells with state of circuit breaker
+    withCircuitBreakerState(promise) {
+        return Promise.resolve(promise)
+          .then((response) => {
+              const state = this.esClient.circuitBreakerState();
+              if (state && state !== CLOSED_STATE && _.isPlainObject(response)) {
+                  response.circuitBreaker = state;
+              }
+
+              return response;
+          });
+    }
+
+    // builds the ES request that given api would send for the input, without sending it
+    esRequest(api, headers, input) {
+        let schema = null;
+        let apiConfig = null;
+        if (api === Constants.SEARCH_API) {
+            schema = this.apiSchema.search;
+            apiConfig = this.searchConfig.search;
+        } else if (api === Constants.AUTOCOMPLETE_API) {
+            schema = this.apiSchema.autocomplete;
+            apiConfig = this.searchConfig.autocomplete;
+        } else if (api === Constants.FORM_SEARCH_API) {
+            schema = this.apiSchema.formSearch;
+            apiConfig = this.searchConfig.search;
+        } else if (api === Constants.BROWSE_ALL_API) {
+            schema = this.apiSchema.browseAll;
+            apiConfig = this.searchConfig.search;
+        } else {
+            throw new ValidationError(`Unknown api: ${api}`, {details: {code: 'UNKNOWN_API', api}});
+        }
+
+        let validatedInput = this.validateInput(input, schema);
+
+        if (api === Constants.SEARCH_API && apiConfig.sections) {
+            if (validatedInput.section && validatedInput.section !== '*') {
+                validatedInput = this.sectionInput(apiConfig.sections[validatedInput.section], validatedInput, false);
+            } else if (!input.type || input.type === '*') {
+                return Promise.resolve(this.sectionQueries(headers, validatedInput, apiConfig))
+                  .then(({queryResponses}) => this.esClient.multiSearchRequest(_.map(queryResponses, queryResponse => queryResponse.queryOrArray)));
+            }
+        }
+
+        return Promise.resolve(this._queryInternal(headers, validatedInput, apiConfig))
+          .then(({queryOrArray, multiSearch}) => {
+              if (multiSearch) {
+                  return this.esClient.multiSearchRequest(queryOrArray);
+              }
+
+              return this.esClient.searchRequest(queryOrArray);
+          });
+    }
+
+    _explain(api, input, headers) {
         let apiConfig = null;
         if (api === Constants.AUTOCOMPLETE_API) {
             apiConfig = this.searchConfig.autocomplete;
@@ -2163,18 +2989,66 @@ class SearcherInternal {
               delete query.search.from;
               delete query.search.size;
               delete query.search.sort;
+              delete query.search.highlight;
               return query;
           })
-          .then(query => this.esClient.explain(input.id, query))
+          .then(query => this.esClient.explain(input.id, query, this.requestLogger(headers)))
           .then(response => (response && response.explanation) || null);
     }
 
     explainAutocomplete(headers, input) {
-        return this._explain(Constants.AUTOCOMPLETE_API, this.validateInput(input, this.apiSchema.explainAutocomplete));
+        return this._explain(Constants.AUTOCOMPLETE_API, this.validateInput(input, this.apiSchema.explainAutocomplete), headers);
     }
 
     explainSearch(headers, input) {
-        return this._explain(Constants.SEARCH_API, this.validateInput(input, this.apiSchema.explainSearch));
+        return this._explain(Constants.SEARCH_API, this.validateInput(input, this.apiSchema.explainSearch), headers);
+    }
+
+    // compiled ES query of search input, with whether ES finds it valid, and the Lucene query it is rewritten to
+    explainQuery(headers, input) {
+        const validatedInput = this.validateInput(input, this.apiSchema.explainQuery);
+        const logger = this.requestLogger(headers);
+
+        return Promise.resolve(this._queryInternal(headers, validatedInput, this.searchConfig.search))
+          .then(({queryOrArray}) => Promise.map(_.castArray(queryOrArray), query => this.esClient.validateQuery(query, logger)
+            .then(response => ({
+                index: query.index,
+                type: query.type,
+                query: query.search,
+                valid: !!(response && response.valid),
+                explanations: _.map(response && response.explanations, explanation => _.pick(explanation, ['index', 'valid', 'explanation', 'error']))
+            }))))
+          .then(queries => ({valid: _.every(queries, 'valid'), queries}));
+    }
+
+    // tokens of text, as preprocessed for search, so as to see why a query field does not match
+    analyze(headers, input) {
+        const validatedInput = this.validateInput(input, this.apiSchema.analyze);
+
+        const searchTypeConfig = this.searchConfig.search.types[validatedInput.type];
+        if (!searchTypeConfig) {
+            throw new ValidationError(`No type config found for: ${validatedInput.type}`, {details: {code: 'SEARCH_CONFIG_NOT_FOUND', type: validatedInput.type}});
+        }
+
+        const indexTypeConfig = searchTypeConfig.indexType;
+        const text = this.preprocessTypeText(searchTypeConfig, this.preprocessText(validatedInput.text));
+
+        let analyses = null;
+        if (validatedInput.analyzer) {
+            analyses = [{analyzer: validatedInput.analyzer}];
+        } else if (validatedInput.field) {
+            analyses = [{field: validatedInput.field}];
+        } else {
+            analyses = _.map(searchTypeConfig.queryFields || indexTypeConfig.queryFields, queryField => ({field: queryField.field}));
+        }
+
+        const logger = this.requestLogger(headers);
+
+        return Promise.map(analyses, analysis => this.esClient.analyze(indexTypeConfig.index, _.extend({text}, analysis), logger)
+          .then(response => _.extend(analysis, {
+              tokens: _.map(response && response.tokens, token => _.pick(token, ['token', 'position', 'start_offset', 'end_offset', 'type']))
+          })))
+          .then(results => ({text: validatedInput.text, normalizedText: text, analyses: results}));
     }
 
     termVectors(headers, input) {
@@ -2182,7 +3056,7 @@ class SearcherInternal {
 
         const typeConfig = this.getIndexTypeConfigFromType(validatedInput.type);
 
-        return Promise.resolve(this.esClient.termVectors(typeConfig.index, typeConfig.type, validatedInput.id))
+        return Promise.resolve(this.esClient.termVectors(typeConfig.index, typeConfig.type, validatedInput.id, this.requestLogger(headers)))
           .then(response => (response && response.term_vectors) || null);
     }
 
@@ -2198,48 +3072,101 @@ class SearcherInternal {
 
         const typeConfig = this.getIndexTypeConfigFromType(input.type);
 
-        return Promise.resolve(this.esClient.get(typeConfig.index, typeConfig.type, input.id))
+        const source = this.buildSourcePart(this.compileSource(typeConfig.sourceIncludes, typeConfig.sourceExcludes), input);
+
+        return Promise.resolve(this.esClient.get(typeConfig.index, typeConfig.type, input.id, source, this.requestLogger(headers)))
           .then(response => (response && this._processSource(response, (typeConfig && (typeConfig.name || typeConfig.type)) || input.type)) || null);
     }
 
-    // TODO: create schema to validate view input
-    view(headers, input) {
-        const type = input.type;
-
-        const viewConfig = this.searchConfig.views.types[type];
+    // reads documents of view in pages with search_after, on sort of view made total by a unique tiebreaker field.
+    // returns reader with:
+    //      next() - promise of next page of documents (post filters applied), or null when done
+    //      cursor() - cursor to resume after last read document, or null when view is read completely
+    viewReader(headers, input) {
+        const viewConfig = this.searchConfig.views.types[input.type];
         const indexTypeConfig = viewConfig.indexType;
 
         const filter = this.filterQueries(viewConfig, input);
         const postFilters = this.postFilters(viewConfig, input);
 
+        const sort = _.concat(_.castArray(this.sortPart(viewConfig, input) || []), {[this.tiebreakerField(viewConfig)]: 'asc'});
+
         const query = {
-            sort: this.sortPart(viewConfig, input) || undefined,
+            sort,
+            _source: this.sourcePart(viewConfig, input),
             query: {
                 bool: {filter}
             }
         };
 
-        const finalResponse = {
-            totalResults: 0,
-            results: []
+        const scope = cursorScope({type: input.type, query});
+        const logger = this.requestLogger(headers);
+
+        let after = input.cursor ? decodeCursor(input.cursor, scope, this.cursorSecret).after : null;
+        let remaining = input.count || Infinity;
+        let exhausted = false;
+
+        const next = () => {
+            if (exhausted || remaining <= 0) {
+                return Promise.resolve(null);
+            }
+
+            return this.esClient.searchAfter(indexTypeConfig.index, indexTypeConfig.type, query, VIEW_PAGE_SIZE, after, logger)
+              .then((response) => {
+                  const hits = _.get(response, ['hits', 'hits'], []);
+                  const docs = [];
+
+                  const readHits = _.takeWhile(hits, (hit) => {
+                      if (remaining <= 0) {
+                          return false;
+                      }
+
+                      after = hit.sort;
+
+                      const doc = hit._source;
+                      if (!postFilters || _.every(postFilters, postFilter => postFilter(doc))) {
+                          docs.push(doc);
+                          remaining -= 1;
+                      }
+
+                      return true;
+                  });
+
+                  exhausted = readHits.length === hits.length && hits.length < VIEW_PAGE_SIZE;
+
+                  return docs;
+              });
         };
 
-        return this.esClient.allPages(indexTypeConfig.index, indexTypeConfig.type, query, 100,
-          (response) => {
-              if (response && response.hits && response.hits.hits) {
-                  const hits = response.hits.hits;
-                  if (hits) {
-                      _.forEach(hits, (hit) => {
-                          const doc = hit._source;
-                          if (!postFilters || _.every(postFilters, postFilter => postFilter(doc))) {
-                              finalResponse.totalResults += 1;
-                              finalResponse.results.push(doc);
-                          }
-                      });
-                  }
+        return {
+            next,
+            cursor: () => (exhausted ? null : encodeCursor(scope, {after}, this.cursorSecret))
+        };
+    }
+
+    // view is returned as JSON of {totalResults, results, cursor} with at most count documents, or streamed as NDJSON of
+    // a line per document, followed by a line of {totalResults, cursor}. cursor is null when view has been read completely.
+    view(headers, input) {
+        const validatedInput = this.validateInput(input, this.apiSchema.view);
+        const reader = this.viewReader(headers, validatedInput);
+
+        if (validatedInput.format === Constants.NDJSON_VIEW_FORMAT) {
+            return ndjsonStream(reader);
+        }
+
+        const results = [];
+
+        const readAll = () => reader.next()
+          .then((docs) => {
+              if (!docs) {
+                  return {totalResults: results.length, results, cursor: reader.cursor()};
               }
-          })
-          .then(() => finalResponse);
+
+              _.forEach(docs, doc => results.push(doc));
+              return readAll();
+          });
+
+        return readAll();
     }
 }
 
@@ -2248,11 +3175,34 @@ export default class Searcher {
         this.internal = new SearcherInternal(searchConfig);
     }
 
-    // eslint-disable-next-line class-methods-use-this
-    errorWrap(method, request, promise) {
-        return Promise.resolve(promise)
+    // handler is called with headers that carry request id, which is taken from incoming headers or generated.
+    // requests are logged at debug level, their outcome at info level, and their failures at warn or error level.
+    errorWrap(method, headers, request, handler) {
+        const requestHeaders = withRequestId(headers);
+        const logger = this.internal.requestLogger(requestHeaders).child({api: method});
+        const startTime = performanceNow();
+
+        logger.debug('Request', {request});
+
+        return Promise.try(() => handler(requestHeaders))
+          .then((response) => {
+              const took = _.round(performanceNow() - startTime, 3);
+
+              logger.info('Request served', {took});
+              this.internal.observeRequest(method, request, took, response);
+
+              return response;
+          })
           .catch((error) => {
-              console.error('>>> Error', method, request, error, error.stack);
+              const took = _.round(performanceNow() - startTime, 3);
+
+              this.internal.observeRequest(method, request, took, null, error);
+
+              if (error && error._errorCode === 'VALIDATION_ERROR') {
+                  logger.warn('Request failed', {took, error});
+              } else {
+                  logger.error('Request failed', {took, error});
+              }
 
               if (error && (error._errorCode === 'VALIDATION_ERROR' || error._errorCode === 'INTERNAL_SERVICE_ERROR')) {
                   // rethrow same error
@@ -2264,55 +3214,87 @@ export default class Searcher {
     }
 
     get(headers, request) {
-        return this.errorWrap('get', request, this.internal.get(headers, request));
+        return this.errorWrap('get', headers, request, requestHeaders => this.internal.get(requestHeaders, request));
     }
 
     search(headers, request) {
-        return this.errorWrap('search', request, this.internal.search(headers, request));
+        return this.errorWrap('search', headers, request, requestHeaders => this.internal.withCircuitBreakerState(this.internal.search(requestHeaders, request)));
     }
 
     formSearch(headers, request) {
-        return this.errorWrap('formSearch', request, this.internal.formSearch(headers, request));
+        return this.errorWrap('formSearch', headers, request, requestHeaders => this.internal.withCircuitBreakerState(this.internal.formSearch(requestHeaders, request)));
     }
 
     browseAll(headers, request) {
-        return this.errorWrap('browseAll', request, this.internal.browseAll(headers, request));
+        return this.errorWrap('browseAll', headers, request, requestHeaders => this.internal.withCircuitBreakerState(this.internal.browseAll(requestHeaders, request)));
     }
 
     autocomplete(headers, request) {
-        return this.errorWrap('autocomplete', request, this.internal.autocomplete(headers, request));
+        return this.errorWrap('autocomplete', headers, request, requestHeaders => this.internal.withCircuitBreakerState(this.internal.autocomplete(requestHeaders, request)));
     }
 
     intent(headers, request) {
-        return this.errorWrap('intent', request, this.internal.intent(headers, request));
+        return this.errorWrap('intent', headers, request, requestHeaders => this.internal.intent(requestHeaders, request));
     }
 
     suggestedQueries(headers, request) {
-        return this.errorWrap('suggestedQueries', request, this.internal.suggestedQueries(headers, request));
+        return this.errorWrap('suggestedQueries', headers, request, requestHeaders => this.internal.withCircuitBreakerState(this.internal.suggestedQueries(requestHeaders, request)));
     }
 
     explainAutocomplete(headers, request) {
-        return this.errorWrap('explainAutocomplete', request, this.internal.explainAutocomplete(headers, request));
+        return this.errorWrap('explainAutocomplete', headers, request, requestHeaders => this.internal.explainAutocomplete(requestHeaders, request));
     }
 
     explainSearch(headers, request) {
-        return this.errorWrap('explainSearch', request, this.internal.explainSearch(headers, request));
+        return this.errorWrap('explainSearch', headers, request, requestHeaders => this.internal.explainSearch(requestHeaders, request));
+    }
+
+    explainQuery(headers, request) {
+        return this.errorWrap('explainQuery', headers, request, requestHeaders => this.internal.explainQuery(requestHeaders, request));
+    }
+
+    analyze(headers, request) {
+        return this.errorWrap('analyze', headers, request, requestHeaders => this.internal.analyze(requestHeaders, request));
     }
 
     termVectors(headers, request) {
-        return this.errorWrap('termVectors', request, this.internal.termVectors(headers, request));
+        return this.errorWrap('termVectors', headers, request, requestHeaders => this.internal.termVectors(requestHeaders, request));
     }
 
     didYouMean(headers, request) {
-        return this.errorWrap('didYouMean', request, this.internal.didYouMean(headers, request));
+        return this.errorWrap('didYouMean', headers, request, requestHeaders => this.internal.didYouMean(requestHeaders, request));
+    }
+
+    reloadSynonyms(headers, request) {
+        return this.errorWrap('reloadSynonyms', headers, request, requestHeaders => this.internal.reloadSynonyms(requestHeaders, request));
     }
 
     view(headers, request) {
-        return this.errorWrap('view', request, this.internal.view(headers, request));
+        return this.errorWrap('view', headers, request, requestHeaders => this.internal.view(requestHeaders, request));
+    }
+
+    cacheStats(headers, request) {
+        return this.errorWrap('cacheStats', headers, request, () => this.internal.cacheStats());
+    }
+
+    circuitBreakerStats(headers, request) {
+        return this.errorWrap('circuitBreakerStats', headers, request, () => this.internal.circuitBreakerStats());
+    }
+
+    nodeStats(headers, request) {
+        return this.errorWrap('nodeStats', headers, request, () => this.internal.nodeStats());
+    }
+
+    metrics(headers, request) {
+        return this.errorWrap('metrics', headers, request, () => this.internal.exposeMetrics());
+    }
+
+    esRequest(api, headers, request) {
+        return Promise.try(() => this.internal.esRequest(api, headers, request));
     }
 
     registry() {
-        return {
+        return _.omitBy({
             autocomplete: [
                 {handler: this.autocomplete},
                 {handler: this.autocomplete, method: 'get'}
@@ -2349,7 +3331,20 @@ export default class Searcher {
                 {handler: this.explainAutocomplete},
                 {handler: this.explainAutocomplete, method: 'get'}
             ],
+            'explain/query': [
+                {handler: this.explainQuery},
+                {handler: this.explainQuery, method: 'get'}
+            ],
+            analyze: [
+                {handler: this.analyze},
+                {handler: this.analyze, method: 'get'}
+            ],
             termVectors: {handler: this.termVectors, method: 'get'},
+            'synonyms/reload': this.internal.synonymsReloadApi ? {handler: this.reloadSynonyms} : undefined,
+            'cache/stats': {handler: this.cacheStats, method: 'get'},
+            'circuitBreaker/stats': {handler: this.circuitBreakerStats, method: 'get'},
+            'nodes/stats': {handler: this.nodeStats, method: 'get'},
+            metrics: {handler: this.metrics, method: 'get'},
             view: [
                 {handler: this.view},
                 {handler: this.view, method: 'get'}
@@ -2389,6 +3384,6 @@ export default class Searcher {
             ':type/:id/termVectors': {handler: this.termVectors, method: 'get'},
             ':type/:id': {handler: this.get, method: 'get'},
             '/': {handler: this.get, method: 'get'}
-        };
+        }, _.isUndefined);
     }
 }
\ No newline at end of file
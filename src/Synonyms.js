@@ -0,0 +1,95 @@
+import _ from 'lodash';
+
+export const ONE_WAY_SEPARATOR = '=>';
+
+// expansions are boosted below the text as searched, so that exact matches still rank first
+export const DEFAULT_BOOST = 0.8;
+
+// alternatives of a text are capped, as each is a query of its own
+export const MAX_EXPANSIONS = 10;
+
+function words(text) {
+    return _.words(_.toLower(text), /\S+/g);
+}
+
+function phrases(terms) {
+    return _(_.castArray(terms))
+      .flatMap(term => _.split(term, ','))
+      .map(words)
+      .filter(phraseWords => !_.isEmpty(phraseWords))
+      .value();
+}
+
+// rule is one of:
+//      'tv, television'                    - two way: each term expands to others
+//      'tv => television, smart tv'        - one way: terms on left expand to those on right
+//      {terms: ['tv', 'television'], boost}
+//      {from: ['tv'], to: ['television'], boost}
+// and is returned as [{from, to: [...], boost}], with phrases as arrays of words
+function parseRule(rule, boost) {
+    let from;
+    let to;
+
+    if (_.isString(rule)) {
+        const sides = _.split(rule, ONE_WAY_SEPARATOR);
+        from = phrases(sides[0]);
+        to = sides.length > 1 ? phrases(sides[1]) : from;
+    } else if (rule.terms) {
+        from = phrases(rule.terms);
+        to = from;
+    } else {
+        from = phrases(rule.from);
+        to = phrases(rule.to);
+    }
+
+    const ruleBoost = _.isUndefined(rule.boost) ? boost : rule.boost;
+
+    return _.map(from, phrase => ({
+        from: phrase,
+        to: _.reject(to, expansion => _.isEqual(expansion, phrase)),
+        boost: ruleBoost
+    }));
+}
+
+// index of first occurrence of phrase in words, or -1
+function indexOfPhrase(textWords, phrase) {
+    return _.findIndex(textWords, (word, index) => _.isEqual(textWords.slice(index, index + phrase.length), phrase));
+}
+
+// builds synonyms out of configs (of instance, and of type), with:
+//      expand(text) - returns alternatives of text as [{text, boost}], each with a matched phrase replaced by an
+//                     expansion of it
+export default function buildSynonyms(configs) {
+    const entries = _(configs)
+      .compact()
+      .flatMap(config => _.flatMap(config.rules, rule => parseRule(rule, _.isUndefined(config.boost) ? DEFAULT_BOOST : config.boost)))
+      .filter(entry => !_.isEmpty(entry.to))
+      .value();
+
+    if (_.isEmpty(entries)) {
+        return null;
+    }
+
+    return Object.freeze({
+        expand: (text) => {
+            const textWords = words(text);
+
+            return _(entries)
+              .flatMap((entry) => {
+                  const index = indexOfPhrase(textWords, entry.from);
+                  if (index < 0) {
+                      return [];
+                  }
+
+                  return _.map(entry.to, expansion => ({
+                      text: _.concat(textWords.slice(0, index), expansion, textWords.slice(index + entry.from.length)).join(' '),
+                      boost: entry.boost
+                  }));
+              })
+              .reject(expansion => expansion.text === textWords.join(' '))
+              .uniqBy('text')
+              .take(MAX_EXPANSIONS)
+              .value();
+        }
+    });
+}
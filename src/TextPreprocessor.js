@@ -0,0 +1,108 @@
+import _ from 'lodash';
+
+export const REPLACE_STEP = 'replace';
+export const SNAKE_CASE_STEP = 'snakeCase';
+export const KEEP_STEP = 'keep';
+export const UNITS_STEP = 'units';
+export const TRIM_STEP = 'trim';
+export const LOWERCASE_STEP = 'lowercase';
+export const UPPERCASE_STEP = 'uppercase';
+export const FUNCTION_STEP = 'function';
+export const STEP_TYPES = [REPLACE_STEP, SNAKE_CASE_STEP, KEEP_STEP, UNITS_STEP, TRIM_STEP, LOWERCASE_STEP, UPPERCASE_STEP, FUNCTION_STEP];
+
+export const PATTERN_STEP_TYPES = [REPLACE_STEP, SNAKE_CASE_STEP, KEEP_STEP];
+
+const DEFAULT_FLAGS = 'g';
+
+// kept tokens are swapped with placeholders made of private use characters, so that no later step can match them
+const PLACEHOLDER_START = '\uE000';
+const PLACEHOLDER_END = '\uE001';
+const PLACEHOLDER_INDEX_BASE = 0xE100;
+const PLACEHOLDER_REGEX = /\uE000([\uE100-\uEFFF])\uE001/g;
+
+export function buildRegExp(pattern, flags) {
+    if (_.isRegExp(pattern)) {
+        return pattern;
+    }
+
+    return new RegExp(pattern, _.isUndefined(flags) ? DEFAULT_FLAGS : flags);
+}
+
+// joins number with its unit, as in: '500 mg' => '500mg' and '.5 mg' => '0.5mg'
+function unitsStep(units) {
+    const unitsPattern = _.map(units, unit => _.escapeRegExp(unit)).join('|');
+
+    const spacedUnitRegex = new RegExp(`(^|[\\s]|[^0-9]|[^a-z])([0-9]+)[\\s]+(${unitsPattern})`, 'gi');
+    const decimalUnitRegex = new RegExp(`(^|[\\s]|[^0-9]|[^a-z])\\.([0-9]+)[\\s]*(${unitsPattern})`, 'gi');
+
+    return text => text
+      .replace(spacedUnitRegex, '$1$2$3')
+      .replace(decimalUnitRegex, '$10.$2$3');
+}
+
+// snake cases matching tokens, whitespace around the match is left as is
+function snakeCaseStep(regex) {
+    return text => text.replace(regex, (match) => {
+        const leading = match.match(/^\s*/)[0];
+        const trailing = match.substring(leading.length).match(/\s*$/)[0];
+
+        return `${leading}${_.snakeCase(match)}${trailing}`;
+    });
+}
+
+function keepStep(regex) {
+    return (text, keptTokens) => text.replace(regex, (match) => {
+        keptTokens.push(match);
+        return `${PLACEHOLDER_START}${String.fromCharCode(PLACEHOLDER_INDEX_BASE + (keptTokens.length - 1))}${PLACEHOLDER_END}`;
+    });
+}
+
+function buildStep(step) {
+    if (step.type === REPLACE_STEP) {
+        const regex = buildRegExp(step.pattern, step.flags);
+        return text => text.replace(regex, step.replacement);
+    } else if (step.type === SNAKE_CASE_STEP) {
+        return snakeCaseStep(buildRegExp(step.pattern, step.flags));
+    } else if (step.type === KEEP_STEP) {
+        return keepStep(buildRegExp(step.pattern, step.flags));
+    } else if (step.type === UNITS_STEP) {
+        return unitsStep(step.units);
+    } else if (step.type === TRIM_STEP) {
+        return text => _.trim(text);
+    } else if (step.type === LOWERCASE_STEP) {
+        return text => _.toLower(text);
+    } else if (step.type === UPPERCASE_STEP) {
+        return text => _.toUpper(text);
+    }
+
+    // function step
+    return text => step.fn(text);
+}
+
+// builds text preprocessor out of ordered steps, returns null when there are no steps
+export default function buildTextPreprocessor(steps) {
+    if (!steps || _.isEmpty(steps)) {
+        return null;
+    }
+
+    const stepFunctions = _.map(steps, step => buildStep(step));
+
+    return (text) => {
+        if (!text) {
+            return text;
+        }
+
+        const keptTokens = [];
+
+        const processedText = _.reduce(stepFunctions, (result, stepFunction) => {
+            const stepResult = stepFunction(result, keptTokens);
+            return _.isString(stepResult) ? stepResult : result;
+        }, text);
+
+        if (_.isEmpty(keptTokens)) {
+            return processedText;
+        }
+
+        return processedText.replace(PLACEHOLDER_REGEX, (match, indexChar) => keptTokens[indexChar.charCodeAt(0) - PLACEHOLDER_INDEX_BASE]);
+    };
+}
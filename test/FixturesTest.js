@@ -0,0 +1,146 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Searcher from '../src/Searcher';
+import MemoryRedisClient from '../src/MemoryRedisClient';
+import buildConfig from './SearchConfig';
+import runTests, {silentLogger} from './TestRunner';
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+const INPUT = {text: 'nike', type: 'product'};
+
+// answers of ES to requests of INPUT, as recorded in FIXTURE_DIR
+const HITS = [
+    {_id: '1', _type: 'product', _score: 2, _source: {name: 'Nike Air', brand: 'nike'}},
+    {_id: '2', _type: 'product', _score: 1.5, _source: {name: 'Nike Max', brand: 'nike'}}
+];
+
+function answer(options) {
+    if (_.isString(options.body)) {
+        const count = _.compact(options.body.split('\n')).length / 2;
+        return {statusCode: 200, body: JSON.stringify({responses: _.times(count, () => ({hits: {total: HITS.length, hits: HITS}}))})};
+    }
+
+    return {statusCode: 200, body: {took: 1, hits: {total: HITS.length, hits: HITS}}};
+}
+
+// searcher with redis cache held in memory, and ES fixtures of mode in dir. requests without fixture are logged as
+// errors, which are silenced.
+function buildSearcher(mode, dir, redisClient, esConfig) {
+    const config = buildConfig();
+
+    return new Searcher(_.extend(config, {
+        logger: silentLogger,
+        cacheConfig: {memory: false},
+        redisClient: redisClient || new MemoryRedisClient(),
+        esConfig: _.extend({}, config.esConfig, esConfig, {fixtures: {mode, dir}})
+    }));
+}
+
+// in record mode requests reach a node of ES, that is stood in for here
+function withNode(searcher, request) {
+    const node = {url: 'http://localhost:9200', alive: true, deadSince: 0, latency: 0, requests: 0, failures: 0, request};
+    searcher.internal.esClient.nodePool.select = () => node;
+    return searcher;
+}
+
+function removeDir(dir) {
+    if (!fs.existsSync(dir)) {
+        return;
+    }
+
+    _.forEach(fs.readdirSync(dir), (name) => {
+        const file = path.join(dir, name);
+        if (fs.statSync(file).isDirectory()) {
+            removeDir(file);
+        } else {
+            fs.unlinkSync(file);
+        }
+    });
+
+    fs.rmdirSync(dir);
+}
+
+export const tests = [
+    {
+        name: 'fixtures: replay search, which is then cached in redis',
+        test: () => {
+            const redisClient = new MemoryRedisClient();
+            const searcher = buildSearcher('replay', FIXTURE_DIR, redisClient);
+
+            return searcher.search({}, _.clone(INPUT))
+              .then((response) => {
+                  assert.deepStrictEqual(_.map(response.results, '_id'), ['1', '2']);
+                  assert.strictEqual(response.totalResults, 2);
+                  assert.ok(redisClient.entries.size > 0);
+
+                  // fixtures are not read again, response comes from redis
+                  searcher.internal.esClient.fixtures.dir = path.join(FIXTURE_DIR, 'missing');
+
+                  return searcher.search({}, _.clone(INPUT));
+              })
+              .then(response => assert.deepStrictEqual(_.map(response.results, '_id'), ['1', '2']));
+        }
+    },
+    {
+        name: 'fixtures: request without fixture fails with FIXTURE_NOT_FOUND',
+        test: () => {
+            const searcher = buildSearcher('replay', FIXTURE_DIR);
+
+            return searcher.search({}, {text: 'puma', type: 'product'}).reflect()
+              .then((result) => {
+                  assert.ok(result.isRejected(), 'Expected search to fail');
+
+                  // as any failure of ES, it is wrapped in internal service error
+                  const fixtureError = result.reason().details;
+                  assert.strictEqual(_.get(fixtureError, ['details', 'code']), 'FIXTURE_NOT_FOUND');
+                  assert.ok(_.startsWith(fixtureError.details.file, FIXTURE_DIR));
+              });
+        }
+    },
+    {
+        name: 'fixtures: requests without fixture do not open circuit breaker',
+        test: () => {
+            const searcher = buildSearcher('replay', FIXTURE_DIR, null, {circuitBreaker: {failureThreshold: 1}});
+
+            return Promise.mapSeries(['puma', 'reebok'], text => searcher.search({}, {text, type: 'product'}).reflect())
+              .then((results) => {
+                  assert.deepStrictEqual(_.map(results, result => _.get(result.reason(), ['details', 'details', 'code'])), ['FIXTURE_NOT_FOUND', 'FIXTURE_NOT_FOUND']);
+
+                  return searcher.search({}, _.clone(INPUT));
+              })
+              .then(response => assert.deepStrictEqual(_.map(response.results, '_id'), ['1', '2']));
+        }
+    },
+    {
+        name: 'fixtures: record to a new directory, and replay what was recorded',
+        test: () => {
+            const baseDir = path.join(os.tmpdir(), `humane-searcher-fixtures-${process.pid}`);
+            const dir = path.join(baseDir, 'nested', 'fixtures');
+
+            let requests = 0;
+            const recorder = withNode(buildSearcher('record', dir), (options) => {
+                requests += 1;
+                return Promise.resolve(answer(options));
+            });
+
+            return recorder.search({}, _.clone(INPUT))
+              .then(() => {
+                  assert.ok(requests > 0);
+                  assert.strictEqual(fs.readdirSync(dir).length, requests);
+
+                  return buildSearcher('replay', dir).search({}, _.clone(INPUT));
+              })
+              .then(response => assert.deepStrictEqual(_.map(response.results, '_id'), ['1', '2']))
+              .finally(() => removeDir(baseDir));
+        }
+    }
+];
+
+export default function run() {
+    return runTests(tests);
+}
@@ -0,0 +1,108 @@
+// cases of snapshot tests: name of case is name of its snapshot file, config is 'flat' for flat search of all types,
+// 'didYouMean' for did you mean on search with no results, 'fallbacks' for fallbacks of product search with no results,
+// 'synonyms' for synonyms of instance and of product, 'sourceFilters' for source filters of article and product, or an
+// array of these. a case that is to fail names the code of its error as expectedError.
+export default [
+    {name: 'search-default-type', api: 'search', input: {text: 'nike shoes', type: 'product'}},
+    {name: 'search-no-fuzzy', api: 'search', input: {text: 'nike', type: 'product', fuzzySearch: false}},
+    {name: 'search-nested-query-field', api: 'search', input: {text: 'nike', type: 'store', filter: {city: 'delhi'}}},
+    {name: 'search-all-types', api: 'search', input: {text: 'nike', type: '*'}},
+    {name: 'search-all-types-with-filter', api: 'search', input: {text: 'nike', type: '*', filter: {brand: 'puma'}}},
+    {name: 'search-all-types-flat', api: 'search', config: 'flat', input: {text: 'nike', type: '*', filter: {brand: 'puma'}}},
+    {name: 'search-all-types-flat-sort', api: 'search', config: 'flat', input: {text: 'nike', type: '*', sort: {field: 'price', order: 'ASC'}}},
+    {
+        name: 'search-filters',
+        api: 'search',
+        input: {text: 'nike', type: 'product', filter: {brand: ['adidas', 'puma'], price: {range: {from: 1, to: 5}}, inStock: '__all__', category: 'shoes', code: 'ab'}}
+    },
+    {
+        name: 'search-not-empty-and-ranges-filters',
+        api: 'search',
+        input: {text: 'nike', type: 'product', filter: {brand: '__not_empty__', price: {ranges: [{from: 1, to: 5}, {from: 9}]}}}
+    },
+    {name: 'search-lang-filter', api: 'search', input: {text: 'nike', type: 'product', filter: {lang: {primary: 'hi', secondary: ['en']}}}},
+    {
+        name: 'search-facet-filters',
+        api: 'search',
+        input: {
+            text: 'nike',
+            type: 'product',
+            filter: {
+                brand: {type: 'facet', values: ['adidas', 'puma']},
+                price: {type: 'facet', values: ['low', 'unknown']},
+                stock: {type: 'facet', value: 'in'},
+                seller: {type: 'facet', value: 'acme'},
+                priceRange: {type: 'facet', range: {from: 1, to: 2}}
+            }
+        }
+    },
+    {name: 'search-sort-field', api: 'search', input: {text: 'nike', type: 'product', sort: {field: 'price', order: 'ASC'}}},
+    {name: 'search-sort-function', api: 'search', input: {text: 'nike', type: 'product', sort: {field: 'distance'}}},
+    {name: 'search-sort-unknown-field', api: 'search', input: {text: 'nike', type: 'product', sort: {field: 'unknown'}}},
+    {
+        name: 'search-geo',
+        api: 'search',
+        input: {
+            text: 'nike',
+            type: 'store',
+            origin: {lat: 12.97, lon: 77.59},
+            filter: {near: '10km', distance: {type: 'facet', values: ['near', 'mid']}},
+            sort: {field: 'location', order: 'ASC'}
+        }
+    },
+    {
+        name: 'search-geo-point-and-box',
+        api: 'search',
+        config: 'flat',
+        input: {text: 'nike', type: '*', filter: {near: {box: {topLeft: {lat: 13.1, lon: 77.4}, bottomRight: '12.8,77.8'}}}}
+    },
+    {name: 'search-geo-sort-without-origin', api: 'search', expectedError: 'ORIGIN_REQUIRED', input: {text: 'nike', type: 'store', sort: {field: 'location'}}},
+    {
+        name: 'search-geo-facet-without-origin',
+        api: 'search',
+        expectedError: 'ORIGIN_REQUIRED',
+        input: {text: 'nike', type: 'store', filter: {distance: {type: 'facet', values: ['near']}}}
+    },
+    {
+        name: 'search-geo-invalid-box',
+        api: 'search',
+        expectedError: 'INVALID_GEO_FILTER',
+        input: {text: 'nike', type: 'store', filter: {near: {box: {topLeft: 'tdr1w', bottomRight: '12.8,77.8'}}}}
+    },
+    {
+        name: 'search-geo-point-without-distance',
+        api: 'search',
+        expectedError: 'INVALID_GEO_FILTER',
+        input: {text: 'nike', type: 'store', filter: {near: {point: {lat: 12.97, lon: 77.59}}}}
+    },
+    {name: 'search-geo-fields', api: 'search', input: {text: 'nike', type: 'store', origin: {lat: 12.97, lon: 77.59}, fields: ['name']}},
+    {name: 'search-page', api: 'search', input: {text: 'nike', type: 'product', page: 3, count: 7}},
+    {name: 'search-highlight', api: 'search', input: {text: 'nike', type: 'article'}},
+    {name: 'search-fields', api: 'search', input: {text: 'nike', type: 'product', fields: ['name', 'price']}},
+    {
+        name: 'search-fields-outside-includes',
+        api: 'search',
+        config: 'sourceFilters',
+        input: {text: 'nike', type: 'article', fields: ['title', 'author.name', 'secret']}
+    },
+    {name: 'search-fields-with-excludes', api: 'search', config: 'sourceFilters', input: {text: 'nike', type: 'product', fields: 'name,content'}},
+    {name: 'search-all-types-flat-fields', api: 'search', config: ['flat', 'sourceFilters'], input: {text: 'nike', type: '*', fields: ['title', 'name']}},
+    {name: 'search-all-types-cursor', api: 'search', expectedError: 'CURSOR_NOT_SUPPORTED', input: {text: 'nike', type: '*', cursor: '*'}},
+    {name: 'autocomplete-all-types', api: 'autocomplete', input: {text: 'ni'}},
+    {name: 'autocomplete-type', api: 'autocomplete', input: {text: 'ni', type: 'article'}},
+    {name: 'form-search', api: 'formSearch', input: {type: 'product', filter: {brand: 'puma'}}},
+    {name: 'browse-all', api: 'browseAll', input: {type: 'store'}},
+    {name: 'explain-query', api: 'explainQuery', input: {text: 'nike', type: 'product', filter: {brand: 'puma'}}},
+    {name: 'did-you-mean', api: 'didYouMean', input: {text: 'nkie shoes', type: '*'}},
+    {name: 'search-did-you-mean', api: 'search', config: 'didYouMean', input: {text: 'nkie', type: 'product'}},
+    {
+        name: 'search-fallbacks',
+        api: 'search',
+        config: 'fallbacks',
+        input: {text: 'nkie shoes', type: 'product', fuzzySearch: false, filter: {brand: 'puma', inStock: false}}
+    },
+    {name: 'search-synonyms', api: 'search', config: 'synonyms', input: {text: 'Puma TV', type: 'product'}},
+    {name: 'search-all-types-synonyms', api: 'search', config: 'synonyms', input: {text: 'tv', type: '*'}},
+    {name: 'analyze-query-fields', api: 'analyze', input: {text: 'nike shoes', type: 'product'}},
+    {name: 'view', api: 'view', input: {type: 'product', filter: {brand: 'puma'}, sort: {field: 'rating', order: 'ASC'}}}
+];
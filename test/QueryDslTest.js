@@ -0,0 +1,118 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import {Readable} from 'stream';
+import Searcher from '../src/Searcher';
+import buildConfig from './SearchConfig';
+import cases from './QueryDslCases';
+
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+
+// snapshots are written, rather than asserted, only with UPDATE_SNAPSHOTS=true: a missing snapshot fails
+const UPDATE_SNAPSHOTS = process.env.UPDATE_SNAPSHOTS === 'true';
+
+// multi search body is JSON lines, which are kept as an array in snapshot to be readable
+function snapshotOf(options) {
+    const body = _.isString(options.body) ? _.map(_.compact(options.body.split('\n')), line => JSON.parse(line)) : options.body;
+    return {method: options.method, uri: options.uri, body};
+}
+
+// ES answers every request with no hits, as only requests are asserted
+function emptyResponse(options) {
+    if (_.isString(options.body)) {
+        const count = _.compact(options.body.split('\n')).length / 2;
+        return {statusCode: 200, body: {responses: _.times(count, () => ({hits: {total: 0, hits: []}}))}};
+    }
+
+    return {statusCode: 200, body: {took: 1, hits: {total: 0, hits: []}}};
+}
+
+// searcher of a config (or of configs), with requests to ES captured in place of being sent
+function buildSearcher(configNames) {
+    const searcher = new Searcher(buildConfig(configNames && _.fromPairs(_.map(_.castArray(configNames), configName => [configName, true]))));
+    const requests = [];
+
+    searcher.internal.esClient.request = (options) => {
+        requests.push(snapshotOf(options));
+        return Promise.resolve(emptyResponse(options));
+    };
+
+    return {searcher, requests};
+}
+
+// streams (say, of views) are drained so that all their requests are made
+function drain(response) {
+    if (!(response instanceof Readable)) {
+        return response;
+    }
+
+    return new Promise((resolve, reject) => {
+        response.on('data', _.noop);
+        response.on('end', resolve);
+        response.on('error', reject);
+    });
+}
+
+// error is part of snapshot only for a case that expects it, by its code as in: {expectedError: 'ORIGIN_REQUIRED'}
+function runCase(testCase) {
+    const {searcher, requests} = buildSearcher(testCase.config);
+
+    return Promise.resolve(searcher[testCase.api]({}, _.cloneDeep(testCase.input)))
+      .then(drain)
+      .then(() => {
+          if (testCase.expectedError) {
+              throw new Error(`Expected error ${testCase.expectedError}, but there was none`);
+          }
+
+          return {requests};
+      }, (error) => {
+          const code = _.get(error, ['details', 'code']);
+          if (!testCase.expectedError || code !== testCase.expectedError) {
+              throw error;
+          }
+
+          return {requests, error: code};
+      });
+}
+
+function checkSnapshot(testCase, actual) {
+    const file = path.join(SNAPSHOT_DIR, `${testCase.name}.json`);
+    const serialized = `${JSON.stringify(actual, null, 2)}\n`;
+
+    if (UPDATE_SNAPSHOTS) {
+        fs.writeFileSync(file, serialized);
+        return 'written';
+    }
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`No snapshot: ${file}, write it with UPDATE_SNAPSHOTS=true`);
+    }
+
+    assert.deepStrictEqual(JSON.parse(serialized), JSON.parse(fs.readFileSync(file, 'utf8')));
+    return 'passed';
+}
+
+export default function run() {
+    if (!fs.existsSync(SNAPSHOT_DIR)) {
+        fs.mkdirSync(SNAPSHOT_DIR);
+    }
+
+    let failures = 0;
+
+    return Promise.mapSeries(cases, testCase => runCase(testCase)
+      .then((actual) => {
+          const result = checkSnapshot(testCase, actual);
+          console.log(`  ${result === 'written' ? '+' : '✓'} ${testCase.name}${result === 'written' ? ' (snapshot written)' : ''}`);
+      })
+      .catch((error) => {
+          failures += 1;
+          console.log(`  ✗ ${testCase.name}`);
+          console.log(`    ${error.message}`);
+      }))
+      .then(() => {
+          console.log(`\n${cases.length - failures} passing, ${failures} failing`);
+          return failures;
+      });
+}
@@ -0,0 +1,353 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+import assert from 'assert';
+import http from 'http';
+import Searcher from '../src/Searcher';
+import {decodeCursor} from '../src/Cursor';
+import buildConfig from './SearchConfig';
+import runTests from './TestRunner';
+
+function hit(id, type, score, source, extra) {
+    return _.extend({_id: id, _type: type, _score: score, _source: source}, extra);
+}
+
+function hitsResponse(hits, total) {
+    return {took: 1, hits: {total: _.isUndefined(total) ? hits.length : total, hits}};
+}
+
+// searcher of a config, whose requests to ES are answered by answer(body, uri) with response body of a search. multi
+// search is answered query by query, as JSON, since it is requested as text.
+function buildSearcher(configName, answer) {
+    const searcher = new Searcher(buildConfig(configName && {[configName]: true}));
+
+    searcher.internal.esClient.request = (options) => {
+        if (_.isString(options.body)) {
+            const queries = _(options.body.split('\n'))
+              .compact()
+              .map(line => JSON.parse(line))
+              .filter((line, index) => index % 2 === 1)
+              .value();
+            return Promise.resolve({statusCode: 200, body: JSON.stringify({responses: _.map(queries, query => answer(query, options.uri))})});
+        }
+
+        return Promise.resolve({statusCode: 200, body: answer(options.body, options.uri)});
+    };
+
+    return searcher;
+}
+
+// cursor is opaque to clients, its scope is read here only to decode its position
+function cursorPosition(searcher, cursor) {
+    const {scope} = JSON.parse(Buffer.from(_.split(cursor, '.')[0].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+    return decodeCursor(cursor, scope, searcher.internal.cursorSecret);
+}
+
+// texts searched by dis_max of first query that has one, as [text, boost]
+function disMaxTexts(body) {
+    let disMax = null;
+
+    const find = (value) => {
+        if (disMax || !_.isObject(value)) {
+            return;
+        }
+
+        if (value.dis_max) {
+            disMax = value.dis_max;
+            return;
+        }
+
+        _.forEach(value, find);
+    };
+
+    find(body);
+
+    return _.map(disMax && disMax.queries, query => [
+        _.get(query, ['multi_humane_query', 'query']) || _.get(query, ['bool', 'must', 'multi_humane_query', 'query']),
+        _.get(query, ['bool', 'boost'], 1)
+    ]);
+}
+
+// ES with documents of view sorted by their position, answering pages of search after
+function viewAnswer(totalDocs, onRequest) {
+    return (body) => {
+        if (onRequest) {
+            onRequest(body);
+        }
+
+        const start = body.search_after ? body.search_after[0] + 1 : 0;
+        const hits = _.map(_.range(start, Math.min(start + body.size, totalDocs)), position => ({_id: `${position}`, _source: {position}, sort: [position]}));
+
+        return hitsResponse(hits, totalDocs);
+    };
+}
+
+// view streamed by searcher is served over http as host would, by piping it to response
+function fetchView(searcher, input) {
+    const server = http.createServer((request, response) => {
+        searcher.view({}, input)
+          .then((stream) => {
+              response.writeHead(200, {'Content-Type': 'application/x-ndjson'});
+              stream.pipe(response);
+          })
+          .catch((error) => {
+              response.writeHead(500);
+              response.end(error.message);
+          });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.listen(0, '127.0.0.1', () => {
+            http.get({host: '127.0.0.1', port: server.address().port, path: '/'}, (response) => {
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => {
+                    body += chunk;
+                });
+                response.on('end', () => resolve({statusCode: response.statusCode, body}));
+            }).on('error', reject);
+        });
+    }).finally(() => server.close());
+}
+
+function hasText(body, text) {
+    return _.includes(JSON.stringify(body), `"${text}"`);
+}
+
+export const tests = [
+    {
+        name: 'search: cuts hits that are much less relevant than previous, and counts what is left',
+        test: () => {
+            const searcher = buildSearcher(null, () => hitsResponse([
+                hit('1', 'product', 10, {name: 'Nike Air'}),
+                hit('2', 'product', 8, {name: 'Nike Max', __internal__: true}),
+                hit('3', 'product', 2, {name: 'Shoe Lace'})
+            ], 120));
+
+            return searcher.search({}, {text: 'nike', type: 'product', count: 5, page: 2})
+              .then((response) => {
+                  assert.deepStrictEqual(_.map(response.results, '_id'), ['1', '2']);
+                  assert.deepStrictEqual(response.results[1], {_id: '2', _score: 8, _type: 'product', name: 'Nike Max'});
+                  assert.strictEqual(response.cutCount, 1);
+                  assert.strictEqual(response.totalResults, 12);
+              });
+        }
+    },
+    {
+        name: 'search: keeps all hits and total of ES when sorted by a field',
+        test: () => {
+            const searcher = buildSearcher(null, () => hitsResponse([hit('1', 'product', 10, {name: 'A'}), hit('2', 'product', 1, {name: 'B'})], 40));
+
+            return searcher.search({}, {text: 'nike', type: 'product', sort: {field: 'price', order: 'ASC'}})
+              .then((response) => {
+                  assert.deepStrictEqual(_.map(response.results, '_id'), ['1', '2']);
+                  assert.strictEqual(response.cutCount, 0);
+                  assert.strictEqual(response.totalResults, 40);
+              });
+        }
+    },
+    {
+        name: 'search: returns highlighted fragments of hits as _highlight',
+        test: () => {
+            const highlight = {title: ['<em>Nike</em> turns 50']};
+            const searcher = buildSearcher(null, () => hitsResponse([hit('1', 'article', 1, {title: 'Nike turns 50'}, {highlight})]));
+
+            return searcher.search({}, {text: 'nike', type: 'article'})
+              .then((response) => {
+                  assert.deepStrictEqual(response.results[0]._highlight, highlight);
+                  assert.strictEqual(response.results[0].title, 'Nike turns 50');
+              });
+        }
+    },
+    {
+        name: 'search: tells distance of results from origin as _distance',
+        test: () => {
+            const searcher = buildSearcher(null, () => hitsResponse([
+                hit('1', 'store', 1, {name: 'A', location: {lat: 12.98, lon: 77.6}}),
+                hit('2', 'store', 1, {name: 'B', location: '13.0,77.7'}),
+                hit('3', 'store', 1, {name: 'C'})
+            ]));
+
+            return searcher.search({}, {text: 'nike', type: 'store', origin: {lat: 12.97, lon: 77.59}})
+              .then((response) => {
+                  assert.deepStrictEqual(_.map(response.results, '_distance'), [1.553, 12.377, undefined]);
+              })
+              .then(() => searcher.search({}, {text: 'nike', type: 'store'}))
+              .then(response => assert.ok(_.every(response.results, result => !_.has(result, '_distance'))));
+        }
+    },
+    {
+        name: 'search: falls back till a step finds results, and tells the step',
+        test: () => {
+            // only search without brand filter finds results
+            const searcher = buildSearcher('fallbacks', body => (hasText(body, 'puma') ? hitsResponse([]) : hitsResponse([hit('1', 'product', 1, {name: 'Nike'})])));
+
+            return searcher.search({}, {text: 'nike', type: 'product', filter: {brand: 'puma'}})
+              .then((response) => {
+                  assert.deepStrictEqual(response.fallback, {type: 'dropFilters', text: 'nike'});
+                  assert.deepStrictEqual(_.map(response.results, '_id'), ['1']);
+              })
+              .then(() => searcher.search({}, {text: 'nike', type: 'product'}))
+              .then(response => assert.ok(!_.has(response, 'fallback')));
+        }
+    },
+    {
+        name: 'search: carries did you mean on no results',
+        test: () => {
+            const searcher = buildSearcher('didYouMean', (body) => {
+                if (!body.suggest) {
+                    return hitsResponse([]);
+                }
+
+                const suggest = _.mapValues(_.omit(body.suggest, 'text'), (value, name) => {
+                    if (_.startsWith(name, 'phrase_')) {
+                        return [{text: 'nkie shoes', options: [{text: 'nike shoes', score: 0.5}]}];
+                    }
+
+                    return [{text: 'nkie', offset: 0, length: 4, options: [{text: 'nike', freq: 10}]}, {text: 'shoes', offset: 5, length: 5, options: []}];
+                });
+
+                return _.extend(hitsResponse([]), {suggest});
+            });
+
+            return searcher.search({}, {text: 'nkie shoes', type: 'product'})
+              .then((response) => {
+                  assert.strictEqual(response.totalResults, 0);
+                  assert.ok(_.some(response.didYouMean, {text: 'nike shoes'}), JSON.stringify(response.didYouMean));
+                  assert.ok(response.didYouMean.length <= 2);
+              });
+        }
+    },
+    {
+        name: 'search: returns cursor after last hit of a full page, and none at the end',
+        test: () => {
+            let hits = [hit('1', 'product', 2, {name: 'A'}, {sort: [2, '1']}), hit('2', 'product', 2, {name: 'B'}, {sort: [2, '2']})];
+            const searcher = buildSearcher(null, () => hitsResponse(hits, 3));
+
+            return searcher.search({}, {text: 'nike', type: 'product', count: 2, cursor: '*'})
+              .then((response) => {
+                  assert.ok(response.cursor);
+                  assert.ok(!_.has(response, 'nextPage'));
+
+                  assert.deepStrictEqual(cursorPosition(searcher, response.cursor), {page: 1, after: [2, '2'], pit: null});
+
+                  hits = [hit('3', 'product', 2, {name: 'C'}, {sort: [2, '3']})];
+
+                  return searcher.search({}, {text: 'nike', type: 'product', count: 2, cursor: response.cursor});
+              })
+              .then((response) => {
+                  assert.deepStrictEqual(_.map(response.results, '_id'), ['3']);
+                  assert.strictEqual(response.cursor, null);
+              });
+        }
+    },
+    {
+        name: 'synonyms: search after reload expands text by reloaded rules',
+        test: () => {
+            const bodies = [];
+            const searcher = buildSearcher('synonyms', (body) => {
+                bodies.push(body);
+                return hitsResponse([]);
+            });
+
+            return searcher.search({}, {text: 'tv', type: 'product'})
+              .then(() => {
+                  assert.deepStrictEqual(disMaxTexts(_.last(bodies)), [['tv', 1], ['television', 0.8], ['smart tv', 0.9]]);
+
+                  return searcher.reloadSynonyms({}, {type: 'product', rules: ['tv => tele vision'], boost: 0.3});
+              })
+              .then((response) => {
+                  assert.deepStrictEqual(response, {type: 'product', rules: 1});
+
+                  return searcher.search({}, {text: 'tv', type: 'product'});
+              })
+              .then(() => {
+                  assert.deepStrictEqual(disMaxTexts(_.last(bodies)), [['tv', 1], ['television', 0.8], ['tele vision', 0.3]]);
+
+                  return searcher.reloadSynonyms({}, {rules: []});
+              })
+              .then(() => searcher.search({}, {text: 'tv', type: 'product'}))
+              .then(() => assert.deepStrictEqual(disMaxTexts(_.last(bodies)), [['tv', 1], ['tele vision', 0.3]]));
+        }
+    },
+    {
+        name: 'synonyms: reload route is registered only when asked for',
+        test: () => {
+            assert.ok(!_.has(new Searcher(buildConfig()).registry(), 'synonyms/reload'));
+
+            const registry = new Searcher(_.extend(buildConfig(), {synonymsReloadApi: true})).registry();
+            assert.ok(_.isFunction(registry['synonyms/reload'].handler));
+        }
+    },
+    {
+        name: 'view: json is read a part at a time, and resumed by cursor',
+        test: () => {
+            let requests = 0;
+            const searcher = buildSearcher(null, viewAnswer(1200, () => {
+                requests += 1;
+            }));
+
+            return searcher.view({}, {type: 'product'})
+              .then((response) => {
+                  assert.strictEqual(response.totalResults, 1000);
+                  assert.deepStrictEqual(_.last(response.results), {position: 999});
+                  assert.ok(response.cursor);
+                  assert.strictEqual(requests, 2);
+
+                  return searcher.view({}, {type: 'product', cursor: response.cursor});
+              })
+              .then((response) => {
+                  assert.strictEqual(response.totalResults, 200);
+                  assert.deepStrictEqual(_.first(response.results), {position: 1000});
+                  assert.strictEqual(response.cursor, null);
+
+                  return searcher.view({}, {type: 'product', count: 20000}).reflect();
+              })
+              .then(result => assert.strictEqual(result.reason()._errorCode, 'VALIDATION_ERROR'));
+        }
+    },
+    {
+        name: 'view: ndjson is streamed over http, reading pages only as stream is consumed',
+        test: () => {
+            let requests = 0;
+            const searcher = buildSearcher(null, viewAnswer(1200, () => {
+                requests += 1;
+            }));
+
+            return searcher.view({}, {type: 'product', format: 'ndjson'})
+              .delay(10)
+              .then((stream) => {
+                  assert.strictEqual(requests, 0);
+                  stream.destroy();
+
+                  return fetchView(searcher, {type: 'product', format: 'ndjson'});
+              })
+              .then((response) => {
+                  const lines = _.map(_.compact(response.body.split('\n')), line => JSON.parse(line));
+
+                  assert.strictEqual(response.statusCode, 200);
+                  assert.strictEqual(lines.length, 1201);
+                  assert.deepStrictEqual(lines[1199], {position: 1199});
+                  assert.deepStrictEqual(_.last(lines), {totalResults: 1200, cursor: null});
+                  assert.strictEqual(requests, 3);
+              });
+        }
+    },
+    {
+        name: 'metrics: size of responses is measured for a sample of them',
+        test: () => {
+            const sizeCount = responseSizeSampleRate => Promise.resolve(new Searcher(_.extend(buildConfig(), {responseSizeSampleRate})))
+              .tap((searcher) => {
+                  searcher.internal.esClient.request = () => Promise.resolve({statusCode: 200, body: hitsResponse([])});
+              })
+              .then(searcher => Promise.mapSeries([1, 2], () => searcher.search({}, {text: 'nike', type: 'store'})).then(() => searcher.metrics({}, {})))
+              .then(metrics => _.toNumber(_.get(metrics.match(/searcher_response_size_bytes_count\{api="search"\} (\d+)/), 1, 0)));
+
+            return Promise.all([sizeCount(1), sizeCount(0)])
+              .then(counts => assert.deepStrictEqual(counts, [2, 0]));
+        }
+    }
+];
+
+export default function run() {
+    return runTests(tests);
+}
@@ -0,0 +1,113 @@
+import _ from 'lodash';
+
+const productFacets = [
+    {key: 'brand', type: 'field', field: 'brand.raw'},
+    {key: 'seller', type: 'field', field: 'seller', nestedPath: 'sellers', includeMissing: true},
+    {key: 'priceRange', type: 'min-max', field: 'price'},
+    {key: 'price', type: 'ranges', field: 'price', includeMissing: true, ranges: [{key: 'low', from: 0, to: 100}, {key: 'high', from: 100}]},
+    {key: 'stock', type: 'filters', filters: [{key: 'in', filter: {term: {inStock: true}}}, {key: 'out', filter: {term: {inStock: false}}}]}
+];
+
+// search config of snapshot tests: covers query fields (fuzzy, nested, vernacular), filters (term, range, missing values,
+// nested, computed values, post filters, geo), sorts (of field, function, geo) and all types of facets
+const searchConfig = {
+    types: {
+        product: {
+            queryFields: [
+                {field: 'name', weight: 10},
+                {field: 'brand', weight: 5, noFuzzy: true},
+                {field: 'tags', nestedPath: 'tagsNested'},
+                {field: 'vernacularName', vernacularOnly: true}
+            ],
+            filters: {
+                brand: {field: 'brand.raw', termQuery: true},
+                price: {field: 'price', includeMissing: true},
+                inStock: {field: 'inStock', termQuery: true, defaultValue: true},
+                category: {field: 'category', termQuery: true, nestedPath: 'categories', weight: 2},
+                code: {field: 'code', termQuery: true, value: value => _.toUpper(value)},
+                fresh: {type: 'post', filter: doc => doc.fresh}
+            },
+            sort: [
+                {field: 'price', default: true},
+                'rating',
+                {field: 'distance', sortFn: order => ({_script: {type: 'number', script: 'doc.distance.value', order}})}
+            ],
+            facets: productFacets
+        },
+        store: {
+            queryFields: [{field: 'name', nestedPath: 'names'}],
+            filters: {city: {field: 'city', termQuery: true}, near: {type: 'geo', field: 'location'}},
+            sort: [{field: 'location', type: 'geo', unit: 'km'}],
+            distance: {field: 'location'}
+        },
+        article: {
+            queryFields: [{field: 'title', weight: 3}],
+            highlight: {fields: ['title', {field: 'body', fragmentSize: 150, numberOfFragments: 3}], preTags: '<em>', postTags: '</em>'}
+        }
+    },
+    autocomplete: {
+        types: {
+            product: {highlight: {fields: {field: 'name', matchedFields: ['name', 'name.autocomplete']}, type: 'fvh'}},
+            store: {},
+            article: {queryFields: [{field: 'title.autocomplete', weight: 2}]}
+        }
+    },
+    search: {
+        defaultType: 'product',
+        types: {
+            // aggregations are of facets of search type, while facet filters are of those of index type too
+            product: {facets: productFacets, summaries: {quantity: {type: 'sum', field: 'quantity'}}},
+            store: {
+                facets: [
+                    {key: 'city', type: 'field', field: 'city'},
+                    {key: 'rating', type: 'ranges', field: 'rating', nestedPath: 'reviews', ranges: [{key: 'poor', to: 2}]},
+                    {key: 'distance', type: 'geo_distance', field: 'location', ranges: [{key: 'near', to: 5}, {key: 'mid', from: 5, to: 20}, {key: 'far', from: 20}]}
+                ]
+            },
+            article: {}
+        }
+    },
+    views: {types: {product: {}}}
+};
+
+// returns config of searcher, with search of all types being flat, with did you mean on no results, with fallbacks of
+// product search on no results, with synonyms of instance and of product, or with source filters of article and product,
+// when asked
+export default function buildConfig(options) {
+    const config = {
+        instanceName: 'demo',
+        logLevel: 'error',
+        cacheConfig: {memory: false, redis: false},
+        searchConfig: _.cloneDeep(searchConfig)
+    };
+
+    if (options && options.flat) {
+        config.searchConfig.search.flat = true;
+    }
+
+    if (options && options.didYouMean) {
+        config.searchConfig.search.didYouMean = {count: 2};
+    }
+
+    if (options && options.fallbacks) {
+        config.searchConfig.search.types.product.fallbacks = [
+            {type: 'fuzzy'},
+            {type: 'dropFilters', keep: 'inStock'},
+            {type: 'minimumShouldMatch', value: '50%'},
+            {type: 'allTypes'},
+            {type: 'spelling'}
+        ];
+    }
+
+    if (options && options.synonyms) {
+        config.searchConfig.synonyms = {rules: ['tv, television']};
+        config.searchConfig.types.product.synonyms = {boost: 0.5, rules: ['puma => puma sports', {from: 'tv', to: 'smart tv', boost: 0.9}]};
+    }
+
+    if (options && options.sourceFilters) {
+        config.searchConfig.types.article.sourceIncludes = ['title', 'body', 'author.*'];
+        config.searchConfig.types.product.sourceExcludes = ['content', '_hourlyStats.*.lastNStats'];
+    }
+
+    return config;
+}
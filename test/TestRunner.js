@@ -0,0 +1,23 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+
+// logger that drops records, for tests whose failures are expected
+export const silentLogger = {trace: _.noop, debug: _.noop, info: _.noop, warn: _.noop, error: _.noop, child: () => silentLogger};
+
+// runs tests of a suite one after another, as [{name, test}] where test returns a promise or throws. returns count of
+// failures.
+export default function runTests(tests) {
+    let failures = 0;
+
+    return Promise.mapSeries(tests, ({name, test}) => Promise.try(test)
+      .then(() => console.log(`  ✓ ${name}`))
+      .catch((error) => {
+          failures += 1;
+          console.log(`  ✗ ${name}`);
+          console.log(`    ${error.message}`);
+      }))
+      .then(() => {
+          console.log(`\n${tests.length - failures} passing, ${failures} failing`);
+          return failures;
+      });
+}
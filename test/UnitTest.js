@@ -0,0 +1,429 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+import assert from 'assert';
+import CircuitBreaker, {CLOSED_STATE, HALF_OPEN_STATE, OPEN_STATE} from '../src/CircuitBreaker';
+import ESClient from '../src/ESClient';
+import NodePool, {LEAST_LATENCY_SELECTOR} from '../src/NodePool';
+import buildSynonyms, {DEFAULT_BOOST, MAX_EXPANSIONS} from '../src/Synonyms';
+import buildTextPreprocessor from '../src/TextPreprocessor';
+import {cursorScope, decodeCursor, encodeCursor} from '../src/Cursor';
+import {geoDistance, geoPoint} from '../src/Geo';
+import runTests, {silentLogger} from './TestRunner';
+
+// Date.now is moved ahead by ms till restored, so that cached entries expire without waiting
+function shiftClock(ms) {
+    const now = Date.now;
+    Date.now = () => now() + ms;
+    return () => {
+        Date.now = now;
+    };
+}
+
+function withShiftedClock(ms, fn) {
+    const restore = shiftClock(ms);
+    return Promise.try(fn).finally(restore);
+}
+
+function errorCode(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return _.get(error, ['details', 'code']);
+    }
+
+    return null;
+}
+
+// client with memory cache only, its responses are fetched by tests themselves
+function buildEsClient(cacheConfig) {
+    return new ESClient({logLevel: 'error', cacheConfig: _.extend({redis: false}, cacheConfig)});
+}
+
+const failure = () => Promise.reject(new Error('ES is down'));
+
+const CURSOR_SECRET = 'secret';
+
+export const tests = [
+    {
+        name: 'cursor: decodes position of cursor of same query',
+        test: () => {
+            const scope = cursorScope({text: 'nike'});
+            const cursor = encodeCursor(scope, {page: 2, after: [1.5, 'a/b+c']}, CURSOR_SECRET);
+
+            assert.ok(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(cursor));
+            assert.deepStrictEqual(decodeCursor(cursor, scope, CURSOR_SECRET), {page: 2, after: [1.5, 'a/b+c']});
+        }
+    },
+    {
+        name: 'cursor: rejects cursor of another query, and malformed cursor',
+        test: () => {
+            const cursor = encodeCursor(cursorScope({text: 'nike'}), {page: 1}, CURSOR_SECRET);
+
+            assert.strictEqual(errorCode(() => decodeCursor(cursor, cursorScope({text: 'puma'}), CURSOR_SECRET)), 'CURSOR_QUERY_MISMATCH');
+            assert.strictEqual(errorCode(() => decodeCursor('not-a-cursor', cursorScope({text: 'nike'}), CURSOR_SECRET)), 'INVALID_CURSOR');
+        }
+    },
+    {
+        name: 'cursor: rejects edited cursor, cursor of another secret, and position of invalid types',
+        test: () => {
+            const scope = cursorScope({text: 'nike'});
+            const [payload, signature] = encodeCursor(scope, {page: 1, after: [2]}, CURSOR_SECRET).split('.');
+
+            const editedPosition = {page: 1, after: [{script: 'doc.price'}], pit: 'pit'};
+            const editedPayload = Buffer.from(JSON.stringify({scope, position: editedPosition})).toString('base64')
+              .replace(/\+/g, '-')
+              .replace(/\//g, '_')
+              .replace(/=+$/, '');
+
+            assert.strictEqual(errorCode(() => decodeCursor(`${editedPayload}.${signature}`, scope, CURSOR_SECRET)), 'INVALID_CURSOR');
+            assert.strictEqual(errorCode(() => decodeCursor(`${payload}.${signature}`, scope, 'another secret')), 'INVALID_CURSOR');
+            assert.strictEqual(errorCode(() => decodeCursor(encodeCursor(scope, editedPosition, CURSOR_SECRET), scope, CURSOR_SECRET)), 'INVALID_CURSOR');
+            assert.strictEqual(errorCode(() => decodeCursor(encodeCursor(scope, {page: 1, pit: {id: 'pit'}}, CURSOR_SECRET), scope, CURSOR_SECRET)), 'INVALID_CURSOR');
+        }
+    },
+    {
+        name: 'text preprocessor: is null without steps',
+        test: () => {
+            assert.strictEqual(buildTextPreprocessor([]), null);
+            assert.strictEqual(buildTextPreprocessor(), null);
+        }
+    },
+    {
+        name: 'text preprocessor: applies steps in order, and restores kept tokens',
+        test: () => {
+            const preprocess = buildTextPreprocessor([
+                {type: 'keep', pattern: '[A-Z]{2}[0-9]+'},
+                {type: 'replace', pattern: '[-/]', replacement: ' '},
+                {type: 'units', units: ['mg', 'ml']},
+                {type: 'snakeCase', pattern: 'new york', flags: 'gi'},
+                {type: 'lowercase'},
+                {type: 'trim'}
+            ]);
+
+            assert.strictEqual(preprocess(' Paracetamol-500 mg AB12 in New York '), 'paracetamol 500mg AB12 in new_york');
+            assert.strictEqual(preprocess('syrup .5 ml'), 'syrup 0.5ml');
+            assert.strictEqual(preprocess(''), '');
+        }
+    },
+    {
+        name: 'text preprocessor: function step that does not return text is skipped',
+        test: () => {
+            const preprocess = buildTextPreprocessor([{type: 'function', fn: _.noop}, {type: 'uppercase'}]);
+
+            assert.strictEqual(preprocess('nike'), 'NIKE');
+        }
+    },
+    {
+        name: 'synonyms: are null without rules',
+        test: () => {
+            assert.strictEqual(buildSynonyms([null, {rules: []}]), null);
+        }
+    },
+    {
+        name: 'synonyms: expand two way and one way rules, with boost of rule, of config or default',
+        test: () => {
+            const synonyms = buildSynonyms([
+                {rules: ['tv, television']},
+                {rules: ['puma => puma sports', {from: 'shoes', to: ['sneakers'], boost: 0.9}], boost: 0.5}
+            ]);
+
+            assert.deepStrictEqual(synonyms.expand('Smart TV'), [{text: 'smart television', boost: DEFAULT_BOOST}]);
+            assert.deepStrictEqual(synonyms.expand('television'), [{text: 'tv', boost: DEFAULT_BOOST}]);
+            assert.deepStrictEqual(synonyms.expand('puma shoes'), [
+                {text: 'puma sports shoes', boost: 0.5},
+                {text: 'puma sneakers', boost: 0.9}
+            ]);
+            assert.deepStrictEqual(synonyms.expand('sneakers'), []);
+            assert.deepStrictEqual(synonyms.expand('pumas'), []);
+        }
+    },
+    {
+        name: 'synonyms: expansions are capped',
+        test: () => {
+            const synonyms = buildSynonyms([{rules: [_.times(MAX_EXPANSIONS + 5, index => `term${index}`).join(', ')]}]);
+
+            assert.strictEqual(synonyms.expand('term0').length, MAX_EXPANSIONS);
+        }
+    },
+    {
+        name: 'geo: parses points as ES takes them',
+        test: () => {
+            assert.deepStrictEqual(geoPoint({lat: 12.97, lon: 77.59}), {lat: 12.97, lon: 77.59});
+            assert.deepStrictEqual(geoPoint('12.97, 77.59'), {lat: 12.97, lon: 77.59});
+            assert.deepStrictEqual(geoPoint([77.59, 12.97]), {lat: 12.97, lon: 77.59});
+            assert.strictEqual(geoPoint('tdr1w'), null);
+            assert.strictEqual(geoPoint({lat: 12.97}), null);
+            assert.strictEqual(geoPoint(null), null);
+        }
+    },
+    {
+        name: 'geo: measures arc distance in unit',
+        test: () => {
+            assert.strictEqual(geoDistance({lat: 0, lon: 0}, {lat: 0, lon: 1}), 111.195);
+            assert.strictEqual(geoDistance({lat: 0, lon: 0}, '0,1', 'm'), 111195.08);
+            assert.strictEqual(geoDistance({lat: 0, lon: 0}, [1, 0], 'mi'), 69.093);
+            assert.strictEqual(geoDistance({lat: 0, lon: 0}, undefined), undefined);
+        }
+    },
+    {
+        name: 'circuit breaker: opens after threshold failures, and fails fast',
+        test: () => {
+            const breaker = new CircuitBreaker({failureThreshold: 2});
+            let calls = 0;
+            const call = () => breaker.call(() => {
+                calls += 1;
+                return failure();
+            }).reflect();
+
+            return Promise.mapSeries([1, 2, 3], call)
+              .then((results) => {
+                  assert.strictEqual(calls, 2);
+                  assert.strictEqual(breaker.currentState(), OPEN_STATE);
+                  assert.strictEqual(results[2].reason().details.code, 'CIRCUIT_OPEN');
+                  assert.deepStrictEqual(_.pick(breaker.stats(), ['opened', 'rejected']), {opened: 1, rejected: 1});
+              });
+        }
+    },
+    {
+        name: 'circuit breaker: errors that are not failures do not count',
+        test: () => {
+            const breaker = new CircuitBreaker({failureThreshold: 1});
+
+            return breaker.call(failure, () => false).reflect()
+              .then(() => assert.strictEqual(breaker.currentState(), CLOSED_STATE));
+        }
+    },
+    {
+        name: 'circuit breaker: lets one trial call through after reset timeout, that closes or opens it again',
+        test: () => {
+            const breaker = new CircuitBreaker({failureThreshold: 1, resetTimeout: 1000});
+
+            // opened a reset timeout ago
+            const expire = () => {
+                breaker.openedAt -= 1000;
+            };
+
+            return breaker.call(failure).reflect()
+              .then(() => {
+                  expire();
+                  assert.strictEqual(breaker.currentState(), HALF_OPEN_STATE);
+
+                  return breaker.call(failure).reflect();
+              })
+              .then(() => {
+                  assert.strictEqual(breaker.currentState(), OPEN_STATE);
+                  expire();
+
+                  const trial = breaker.call(() => Promise.delay(10).then(() => 'ok'));
+                  const concurrent = breaker.call(() => 'ok').reflect();
+
+                  return Promise.all([trial, concurrent]);
+              })
+              .then(([trialResult, concurrent]) => {
+                  assert.strictEqual(trialResult, 'ok');
+                  assert.strictEqual(concurrent.reason().details.code, 'CIRCUIT_OPEN');
+                  assert.strictEqual(breaker.currentState(), CLOSED_STATE);
+              });
+        }
+    },
+    {
+        name: 'circuit breaker: passes calls through when disabled',
+        test: () => {
+            const breaker = new CircuitBreaker({enabled: false, failureThreshold: 1});
+
+            return Promise.mapSeries([1, 2], () => breaker.call(failure).reflect())
+              .then(results => assert.ok(_.every(results, result => result.reason().message === 'ES is down')));
+        }
+    },
+    {
+        name: 'es client: counts calls failed fast by circuit breaker as CIRCUIT_OPEN',
+        test: () => {
+            const esClient = new ESClient({
+                logger: silentLogger,
+                esConfig: {retry: {retries: 0}, circuitBreaker: {failureThreshold: 1}},
+                cacheConfig: {memory: false, redis: false}
+            });
+            esClient.request = () => Promise.reject(_.extend(new Error('connect ECONNREFUSED'), {code: 'ECONNREFUSED'}));
+
+            return Promise.mapSeries([1, 2], () => esClient.send('search', {uri: '/_search'}).reflect())
+              .then(() => {
+                  const metrics = esClient.metrics.expose();
+                  assert.ok(_.includes(metrics, 'status="ECONNREFUSED"} 1'), metrics);
+                  assert.ok(_.includes(metrics, 'status="CIRCUIT_OPEN"} 1'), metrics);
+              });
+        }
+    },
+    {
+        name: 'node pool: selects alive nodes in round robin',
+        test: () => {
+            const pool = new NodePool({nodes: ['http://es1:9200/', 'http://es2:9200'], pool: {pingInterval: 0}}, {}, silentLogger);
+
+            try {
+                assert.deepStrictEqual(_.map(_.times(3, () => pool.select()), 'url'), ['http://es1:9200', 'http://es2:9200', 'http://es1:9200']);
+
+                pool.failed(pool.nodes[1]);
+                assert.deepStrictEqual(_.map(_.times(2, () => pool.select()), 'url'), ['http://es1:9200', 'http://es1:9200']);
+
+                pool.succeeded(pool.nodes[1], 5);
+                assert.ok(pool.nodes[1].alive);
+                assert.deepStrictEqual(_.map(pool.stats(), 'failures'), [0, 1]);
+            } finally {
+                pool.stop();
+            }
+        }
+    },
+    {
+        name: 'node pool: selects node of least latency, and node that died first when all are dead',
+        test: () => {
+            const pool = new NodePool({nodes: ['http://es1:9200', 'http://es2:9200'], pool: {selector: LEAST_LATENCY_SELECTOR, pingInterval: 0}}, {}, silentLogger);
+
+            try {
+                pool.succeeded(pool.nodes[0], 50);
+                pool.succeeded(pool.nodes[1], 10);
+                assert.strictEqual(pool.select().url, 'http://es2:9200');
+
+                pool.failed(pool.nodes[1]);
+                pool.failed(pool.nodes[0]);
+                pool.nodes[0].deadSince += 1000;
+                assert.strictEqual(pool.select().url, 'http://es2:9200');
+            } finally {
+                pool.stop();
+            }
+        }
+    },
+    {
+        name: 'node pool: pings that fail remove node without counting failures',
+        test: () => {
+            const pool = new NodePool({nodes: ['http://es1:9200'], pool: {pingInterval: 0}}, {}, silentLogger);
+            pool.nodes[0].request = failure;
+
+            return pool.ping()
+              .then(() => assert.deepStrictEqual(_.map(pool.stats(), node => _.pick(node, ['alive', 'requests', 'failures'])), [{alive: false, requests: 0, failures: 0}]));
+        }
+    },
+    {
+        name: 'node pool: sniffing keeps configured nodes along with sniffed ones',
+        test: () => {
+            const pool = new NodePool({nodes: ['http://es1:9200'], pool: {pingInterval: 0}}, {}, silentLogger);
+            const nodes = {node1: {http: {publish_address: '10.0.0.5:9200'}}, node2: {http: {publish_address: 'es1/10.0.0.6:9200'}}};
+            pool.nodes[0].request = () => Promise.resolve({statusCode: 200, body: {nodes}});
+
+            return pool.sniff()
+              .then(() => {
+                  assert.deepStrictEqual(_.map(pool.nodes, 'url'), ['http://es1:9200', 'http://10.0.0.5:9200', 'http://10.0.0.6:9200']);
+
+                  // sniffed nodes can not be reached
+                  pool.failed(pool.nodes[1]);
+                  pool.failed(pool.nodes[2]);
+                  assert.strictEqual(pool.select().url, 'http://es1:9200');
+              })
+              .finally(() => pool.stop());
+        }
+    },
+    {
+        name: 'es client: removes node that can not be connected to, but not node that times out',
+        test: () => {
+            const esClient = new ESClient({logger: silentLogger, esConfig: {pool: {pingInterval: 0}}, cacheConfig: {memory: false, redis: false}});
+            const node = esClient.nodePool.nodes[0];
+            const failWith = code => () => Promise.reject(_.extend(new Error(code), {code}));
+
+            node.request = failWith('ETIMEDOUT');
+
+            return esClient.request({uri: '/_search'}).reflect()
+              .then(() => {
+                  assert.ok(node.alive);
+
+                  node.request = failWith('ECONNREFUSED');
+                  return esClient.request({uri: '/_search'}).reflect();
+              })
+              .then(() => assert.ok(!node.alive))
+              .finally(() => esClient.nodePool.stop());
+        }
+    },
+    {
+        name: 'cache: concurrent fetches of a key share one fetch, and each gets its own copy',
+        test: () => {
+            const esClient = buildEsClient();
+            let fetches = 0;
+            const fetch = () => {
+                fetches += 1;
+                return Promise.delay(10).then(() => ({hits: [1]}));
+            };
+
+            // first caller modifies its response as soon as it gets it, which others must not see
+            const first = esClient.fetchOnce('key', 10, fetch)
+              .tap((response) => {
+                  response.hits.push(2);
+              });
+
+            return Promise.all([first, esClient.fetchOnce('key', 10, fetch)])
+              .then(([firstResponse, secondResponse]) => {
+                  assert.strictEqual(fetches, 1);
+                  assert.deepStrictEqual(firstResponse, {hits: [1, 2]});
+                  assert.deepStrictEqual(secondResponse, {hits: [1]});
+              });
+        }
+    },
+    {
+        name: 'cache: serves expired response within stale while revalidate, and refreshes it in background',
+        test: () => {
+            const esClient = buildEsClient({staleWhileRevalidate: 60});
+
+            return esClient.fetchOnce('key', 10, () => ({version: 1}))
+              .then(() => withShiftedClock(11000, () => esClient.retrieveFromCache('key', 10, () => ({version: 2}))
+                .then((response) => {
+                    assert.deepStrictEqual(response, {version: 1});
+                    return esClient.inFlight.get('key');
+                })
+                .then(() => esClient.retrieveFromCache('key', 10))
+                .then(response => assert.deepStrictEqual(response, {version: 2}))))
+              .then(() => withShiftedClock(90000, () => esClient.retrieveFromCache('key', 10, () => ({version: 3}))))
+              .then(response => assert.strictEqual(response, null));
+        }
+    },
+    {
+        name: 'cache: serves expired response on error within stale if error, and fails after it',
+        test: () => {
+            const esClient = buildEsClient({staleIfError: 60});
+
+            return esClient.fetchOnce('key', 10, () => ({version: 1}))
+              .then(() => withShiftedClock(11000, () => esClient.fetchOrStale('key', 10, failure)))
+              .then(response => assert.deepStrictEqual(response, {version: 1}))
+              .then(() => withShiftedClock(71000, () => esClient.fetchOrStale('key', 10, failure)).reflect())
+              .then(result => assert.strictEqual(result.reason().message, 'ES is down'));
+        }
+    },
+    {
+        name: 'cache: serves expired response by default while circuit breaker is open',
+        test: () => {
+            const esClient = buildEsClient();
+
+            return esClient.fetchOnce('key', 10, () => ({version: 1}))
+              .then(() => withShiftedClock(11000, () => {
+                  esClient.circuitBreaker.open();
+                  return esClient.fetchOrStale('key', 10, () => esClient.circuitBreaker.call(() => ({version: 2})));
+              }))
+              .then(response => assert.deepStrictEqual(response, {version: 1}));
+        }
+    },
+    {
+        name: 'cache: expired response is not served without stale ttls',
+        test: () => {
+            const esClient = buildEsClient({staleIfError: 0});
+
+            return esClient.fetchOnce('key', 10, () => ({version: 1}))
+              .then(() => withShiftedClock(11000, () => Promise.all([
+                  esClient.retrieveFromCache('key', 10, () => ({version: 2})),
+                  esClient.fetchOrStale('key', 10, failure).reflect()
+              ])))
+              .then(([response, result]) => {
+                  assert.strictEqual(response, null);
+                  assert.strictEqual(result.reason().message, 'ES is down');
+              });
+        }
+    }
+];
+
+export default function run() {
+    return runTests(tests);
+}
@@ -0,0 +1,30 @@
+// tests are written as ES modules, as is source
+require('babel-core/register')({only: /\/(src|test)\//});
+
+const Promise = require('bluebird');
+
+const suites = [
+    {title: 'Query DSL snapshots', run: require('./QueryDslTest').default},
+    {title: 'Responses', run: require('./ResponseTest').default},
+    {title: 'Fixtures', run: require('./FixturesTest').default},
+    {title: 'Units', run: require('./UnitTest').default}
+];
+
+let failures = 0;
+
+Promise.mapSeries(suites, (suite) => {
+    console.log(`${suite.title}`);
+
+    return suite.run()
+      .then((suiteFailures) => {
+          failures += suiteFailures;
+          console.log('');
+      });
+})
+  .then(() => {
+      process.exitCode = failures > 0 ? 1 : 0;
+  })
+  .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+  });